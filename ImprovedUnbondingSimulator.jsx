@@ -1,197 +1,66 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell } from 'recharts';
+import { useState } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import {
+  SEQUENTIAL_DEFAULT_PARAMS,
+  createSequentialQueue,
+  getSequentialMaxUnstake,
+  getSequentialRequestStatus,
+  getSequentialQueuedStake,
+  addSequentialRequest,
+  rebondSequentialRequest,
+  withdrawSequentialRequest,
+  advanceSequentialBlocks,
+  setSequentialPendingSlashes,
+  previewSequentialRequests,
+} from './src/engine/index.js';
+
+const SPLIT_AMOUNT = 1_000_000;
+const SPLIT_PARTS = 10;
 
 const ImprovedUnbondingSimulator = () => {
   // RFC Parameters - these should be configurable for Kusama vs Polkadot
-  const [networkParams, setNetworkParams] = useState({
-    name: 'Polkadot',
-    LOWER_BOUND_DAYS: 2,
-    UPPER_BOUND_DAYS: 28,
-    MIN_SLASHABLE_SHARE: 0.5,
-    TOTAL_STAKE_ESTIMATE: 800_000_000, // Conservative estimate
-    LOWEST_THIRD_RATIO: 0.287, // This should vary per era, using RFC's empirical value
-    BLOCKS_PER_DAY: 14400, // ~6 second blocks
-  });
-
-  // Queue state - this is the key missing piece from my original simulator
-  const [queueState, setQueueState] = useState({
-    back_of_queue_block: 0, // When the queue will be empty
-    current_block: 0,
-    pending_slashes: false,
-    total_queue_stake: 0,
-  });
+  const [networkName, setNetworkName] = useState('Polkadot');
 
-  // Individual unbonding requests
-  const [unbondingRequests, setUnbondingRequests] = useState([]);
-  const [nextRequestId, setNextRequestId] = useState(1);
+  // Block-level queue: requests are replayed in order whenever the queue changes
+  const [queue, setQueue] = useState(() => createSequentialQueue(SEQUENTIAL_DEFAULT_PARAMS));
+  const { params, currentBlock, backOfQueueBlock } = queue;
 
   // UI state
   const [newUnbondingAmount, setNewUnbondingAmount] = useState(10000);
-  const [selectedRequestId, setSelectedRequestId] = useState(null);
-  const [timeSimulation, setTimeSimulation] = useState(0); // Days passed
-
-  // Calculate max_unstake based on current parameters
-  const max_unstake = networkParams.MIN_SLASHABLE_SHARE * 
-                     (networkParams.LOWEST_THIRD_RATIO * networkParams.TOTAL_STAKE_ESTIMATE);
-
-  // Core RFC mechanism implementation
-  const calculateUnbondingRequest = useCallback((amount, currentQueueBlock, currentBlock) => {
-    // This is the actual RFC formula
-    const unbonding_time_delta_blocks = (amount / max_unstake) * 
-                                       (networkParams.UPPER_BOUND_DAYS * networkParams.BLOCKS_PER_DAY);
-    
-    // Add to back of queue
-    const new_back_of_queue = Math.max(currentBlock, currentQueueBlock) + unbonding_time_delta_blocks;
-    
-    // Calculate actual unbonding block for this user
-    const unbonding_duration_blocks = Math.min(
-      networkParams.UPPER_BOUND_DAYS * networkParams.BLOCKS_PER_DAY,
-      Math.max(
-        new_back_of_queue - currentBlock,
-        networkParams.LOWER_BOUND_DAYS * networkParams.BLOCKS_PER_DAY
-      )
-    );
-    
-    const unbonding_block = currentBlock + unbonding_duration_blocks;
-    
-    return {
-      unbonding_time_delta_blocks,
-      new_back_of_queue,
-      unbonding_block,
-      unbonding_duration_days: unbonding_duration_blocks / networkParams.BLOCKS_PER_DAY
-    };
-  }, [max_unstake, networkParams]);
-
-  // Add new unbonding request
-  const addUnbondingRequest = () => {
-    if (newUnbondingAmount <= 0) return;
-
-    const calculation = calculateUnbondingRequest(
-      newUnbondingAmount, 
-      queueState.back_of_queue_block, 
-      queueState.current_block
-    );
 
-    const newRequest = {
-      id: nextRequestId,
-      amount: newUnbondingAmount,
-      request_block: queueState.current_block,
-      unbonding_block: calculation.unbonding_block,
-      unbonding_duration_days: calculation.unbonding_duration_days,
-      unbonding_time_delta_blocks: calculation.unbonding_time_delta_blocks,
-      status: 'pending',
-      can_rebond: true,
-    };
+  const max_unstake = getSequentialMaxUnstake(params);
+  const toDays = (blocks) => blocks / params.BLOCKS_PER_DAY;
 
-    setUnbondingRequests(prev => [...prev, newRequest]);
-    setQueueState(prev => ({
-      ...prev,
-      back_of_queue_block: calculation.new_back_of_queue,
-      total_queue_stake: prev.total_queue_stake + newUnbondingAmount,
-    }));
-    setNextRequestId(prev => prev + 1);
+  // Switching network starts a fresh queue under that network's upper bound
+  const switchNetwork = (name, upperBoundDays) => {
+    setNetworkName(name);
+    setQueue(createSequentialQueue({ ...SEQUENTIAL_DEFAULT_PARAMS, UPPER_BOUND_DAYS: upperBoundDays }));
   };
 
-  // Rebond functionality - key missing feature from original
-  const rebondRequest = (requestId) => {
-    const request = unbondingRequests.find(r => r.id === requestId);
-    if (!request || !request.can_rebond || request.status !== 'pending') return;
-
-    // Subtract the time delta from back of queue (RFC mechanism)
-    setQueueState(prev => ({
-      ...prev,
-      back_of_queue_block: prev.back_of_queue_block - request.unbonding_time_delta_blocks,
-      total_queue_stake: prev.total_queue_stake - request.amount,
-    }));
-
-    // Remove the request
-    setUnbondingRequests(prev => prev.filter(r => r.id !== requestId));
+  const advanceTime = (days) => setQueue(prev => advanceSequentialBlocks(prev, days * prev.params.BLOCKS_PER_DAY));
 
-    // Recalculate all pending requests since queue moved forward
-    recalculateQueue();
+  // Demonstrate splitting benefit: one large request against the same amount split into parts
+  const [single] = previewSequentialRequests(queue, [SPLIT_AMOUNT]);
+  const splitRequests = previewSequentialRequests(queue, Array(SPLIT_PARTS).fill(SPLIT_AMOUNT / SPLIT_PARTS));
+  const splittingDemo = {
+    single: toDays(single.durationBlocks),
+    split_avg: splitRequests.reduce((sum, req) => sum + toDays(req.durationBlocks), 0) / SPLIT_PARTS,
   };
 
-  // Recalculate queue after rebonding
-  const recalculateQueue = useCallback(() => {
-    setUnbondingRequests(prev => {
-      return prev.map(request => {
-        if (request.status !== 'pending') return request;
-        
-        // This is simplified - in reality, we'd need to replay the queue
-        const blocks_remaining = request.unbonding_block - (queueState.current_block + timeSimulation * networkParams.BLOCKS_PER_DAY);
-        const days_remaining = Math.max(0, blocks_remaining / networkParams.BLOCKS_PER_DAY);
-        
-        return {
-          ...request,
-          remaining_days: days_remaining,
-          status: days_remaining <= 0 ? 'completed' : 'pending'
-        };
-      });
-    });
-  }, [queueState.current_block, timeSimulation, networkParams.BLOCKS_PER_DAY]);
-
-  // Simulate time progression
-  const advanceTime = (days) => {
-    const new_time = timeSimulation + days;
-    setTimeSimulation(new_time);
-    
-    const current_block_sim = queueState.current_block + (new_time * networkParams.BLOCKS_PER_DAY);
-    
-    // Update request statuses
-    setUnbondingRequests(prev => {
-      return prev.map(request => {
-        const blocks_remaining = request.unbonding_block - current_block_sim;
-        const days_remaining = Math.max(0, blocks_remaining / networkParams.BLOCKS_PER_DAY);
-        
-        return {
-          ...request,
-          remaining_days: days_remaining,
-          status: days_remaining <= 0 ? 'completed' : 'pending'
-        };
-      });
-    });
-  };
-
-  // Demonstrate splitting benefit
-  const demonstrateSplitting = () => {
-    const large_amount = 1000000;
-    
-    // Single large request
-    const single_calc = calculateUnbondingRequest(
-      large_amount, 
-      queueState.back_of_queue_block, 
-      queueState.current_block
-    );
-    
-    // Split into 10 smaller requests
-    const split_amount = large_amount / 10;
-    let running_queue = queueState.back_of_queue_block;
-    const split_requests = [];
-    
-    for (let i = 0; i < 10; i++) {
-      const calc = calculateUnbondingRequest(split_amount, running_queue, queueState.current_block);
-      split_requests.push(calc);
-      running_queue = calc.new_back_of_queue;
-    }
-    
-    return {
-      single: single_calc.unbonding_duration_days,
-      split_avg: split_requests.reduce((sum, req) => sum + req.unbonding_duration_days, 0) / 10,
-      split_max: Math.max(...split_requests.map(req => req.unbonding_duration_days)),
-      split_requests
-    };
-  };
-
-  const splittingDemo = demonstrateSplitting();
+  const requestsWithStatus = queue.requests.map(request => ({
+    ...request,
+    status: getSequentialRequestStatus(queue, request),
+    remaining_days: Math.max(0, toDays(request.unbondingBlock - currentBlock)),
+  }));
 
   // Generate queue visualization data
-  const queueVisualizationData = unbondingRequests
+  const queueVisualizationData = requestsWithStatus
     .filter(req => req.status === 'pending')
-    .sort((a, b) => a.unbonding_block - b.unbonding_block)
+    .sort((a, b) => a.unbondingBlock - b.unbondingBlock)
     .map((req, index) => ({
       position: index + 1,
       amount: req.amount,
-      days_remaining: req.remaining_days || req.unbonding_duration_days,
+      days_remaining: req.remaining_days,
       id: req.id,
     }));
 
@@ -201,7 +70,7 @@ const ImprovedUnbondingSimulator = () => {
     return amount.toString();
   };
 
-  const queueUtilization = (queueState.total_queue_stake / max_unstake) * 100;
+  const queueUtilization = (getSequentialQueuedStake(queue) / max_unstake) * 100;
 
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-8">
@@ -216,14 +85,14 @@ const ImprovedUnbondingSimulator = () => {
         {/* Network selector */}
         <div className="flex justify-center gap-4 mb-6">
           <button 
-            onClick={() => setNetworkParams(prev => ({...prev, name: 'Polkadot', UPPER_BOUND_DAYS: 28}))}
-            className={`px-4 py-2 rounded ${networkParams.name === 'Polkadot' ? 'bg-pink-500 text-white' : 'bg-gray-200'}`}
+            onClick={() => switchNetwork('Polkadot', 28)}
+            className={`px-4 py-2 rounded ${networkName === 'Polkadot' ? 'bg-pink-500 text-white' : 'bg-gray-200'}`}
           >
             Polkadot (28 days)
           </button>
           <button 
-            onClick={() => setNetworkParams(prev => ({...prev, name: 'Kusama', UPPER_BOUND_DAYS: 7}))}
-            className={`px-4 py-2 rounded ${networkParams.name === 'Kusama' ? 'bg-yellow-500 text-white' : 'bg-gray-200'}`}
+            onClick={() => switchNetwork('Kusama', 7)}
+            className={`px-4 py-2 rounded ${networkName === 'Kusama' ? 'bg-yellow-500 text-white' : 'bg-gray-200'}`}
           >
             Kusama (7 days)
           </button>
@@ -241,17 +110,18 @@ const ImprovedUnbondingSimulator = () => {
           <div className="text-xl font-bold text-green-900">{queueUtilization.toFixed(1)}%</div>
         </div>
         <div className="bg-purple-50 p-4 rounded-lg">
-          <div className="text-sm text-purple-600 font-medium">Time Simulated</div>
-          <div className="text-xl font-bold text-purple-900">{timeSimulation.toFixed(1)} days</div>
+          <div className="text-sm text-purple-600 font-medium">Current Block</div>
+          <div className="text-xl font-bold text-purple-900">{currentBlock.toLocaleString()}</div>
+          <div className="text-xs text-purple-500">{toDays(currentBlock).toFixed(1)} days</div>
         </div>
         <div className="bg-orange-50 p-4 rounded-lg">
           <div className="text-sm text-orange-600 font-medium">Active Requests</div>
-          <div className="text-xl font-bold text-orange-900">{unbondingRequests.filter(r => r.status === 'pending').length}</div>
+          <div className="text-xl font-bold text-orange-900">{requestsWithStatus.filter(r => r.status === 'pending').length}</div>
         </div>
         <div className="bg-red-50 p-4 rounded-lg">
           <div className="text-sm text-red-600 font-medium">Queue End</div>
           <div className="text-xl font-bold text-red-900">
-            {((queueState.back_of_queue_block - queueState.current_block - timeSimulation * networkParams.BLOCKS_PER_DAY) / networkParams.BLOCKS_PER_DAY).toFixed(1)} days
+            {toDays(Math.max(0, backOfQueueBlock - currentBlock)).toFixed(1)} days
           </div>
         </div>
       </div>
@@ -274,15 +144,15 @@ const ImprovedUnbondingSimulator = () => {
             />
           </div>
           <button
-            onClick={addUnbondingRequest}
-            disabled={queueState.pending_slashes}
+            onClick={() => setQueue(prev => addSequentialRequest(prev, newUnbondingAmount))}
+            disabled={queue.pendingSlashes || newUnbondingAmount <= 0}
             className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
           >
             Add to Queue
           </button>
         </div>
-        {queueState.pending_slashes && (
-          <p className="mt-2 text-red-600 text-sm">Queue frozen due to pending slashes</p>
+        {queue.pendingSlashes && (
+          <p className="mt-2 text-red-600 text-sm">Queue frozen due to pending slashes: no new requests or withdrawals</p>
         )}
       </div>
 
@@ -303,16 +173,16 @@ const ImprovedUnbondingSimulator = () => {
             +1 Week
           </button>
           <button
-            onClick={() => setTimeSimulation(0)}
+            onClick={() => setQueue(prev => createSequentialQueue(prev.params))}
             className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
           >
-            Reset Time
+            Reset Queue
           </button>
           <button
-            onClick={() => setQueueState(prev => ({...prev, pending_slashes: !prev.pending_slashes}))}
-            className={`px-4 py-2 rounded-md text-white ${queueState.pending_slashes ? 'bg-red-600 hover:bg-red-700' : 'bg-yellow-600 hover:bg-yellow-700'}`}
+            onClick={() => setQueue(prev => setSequentialPendingSlashes(prev, !prev.pendingSlashes))}
+            className={`px-4 py-2 rounded-md text-white ${queue.pendingSlashes ? 'bg-red-600 hover:bg-red-700' : 'bg-yellow-600 hover:bg-yellow-700'}`}
           >
-            {queueState.pending_slashes ? 'Resolve Slashes' : 'Simulate Pending Slashes'}
+            {queue.pendingSlashes ? 'Resolve Slashes' : 'Simulate Pending Slashes'}
           </button>
         </div>
       </div>
@@ -320,35 +190,46 @@ const ImprovedUnbondingSimulator = () => {
       {/* Active Unbonding Requests */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">Your Unbonding Requests</h2>
-        {unbondingRequests.length === 0 ? (
+        {requestsWithStatus.length === 0 ? (
           <p className="text-gray-500">No unbonding requests yet</p>
         ) : (
           <div className="space-y-3">
-            {unbondingRequests.map(request => (
-              <div key={request.id} className={`p-4 border rounded-lg ${request.status === 'completed' ? 'bg-green-50 border-green-200' : 'bg-gray-50 border-gray-200'}`}>
+            {requestsWithStatus.map(request => (
+              <div key={request.id} className={`p-4 border rounded-lg ${request.status === 'pending' ? 'bg-gray-50 border-gray-200' : 'bg-green-50 border-green-200'}`}>
                 <div className="flex justify-between items-center">
                   <div>
                     <span className="font-medium">{formatAmount(request.amount)} DOT</span>
-                    <span className={`ml-3 px-2 py-1 rounded text-xs ${request.status === 'completed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                    <span className={`ml-3 px-2 py-1 rounded text-xs ${request.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
                       {request.status}
                     </span>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Requested at block {request.requestBlock.toLocaleString()}, unlocks at block{' '}
+                      {request.unbondingBlock.toLocaleString()} ({toDays(request.durationBlocks).toFixed(2)} days)
+                    </div>
                   </div>
                   <div className="text-right">
                     <div className="text-sm text-gray-600">
-                      {request.status === 'pending' ? (
-                        `${(request.remaining_days || request.unbonding_duration_days).toFixed(1)} days remaining`
-                      ) : (
-                        'Ready to withdraw'
-                      )}
+                      {request.status === 'pending' && `${request.remaining_days.toFixed(1)} days remaining`}
+                      {request.status === 'unlocked' && 'Ready to withdraw'}
+                      {request.status === 'withdrawn' && `Withdrawn at block ${request.withdrawnBlock.toLocaleString()}`}
                     </div>
-                    {request.can_rebond && request.status === 'pending' && (
+                    {request.status === 'pending' && (
                       <button
-                        onClick={() => rebondRequest(request.id)}
+                        onClick={() => setQueue(prev => rebondSequentialRequest(prev, request.id))}
                         className="mt-1 px-3 py-1 bg-red-500 text-white rounded text-xs hover:bg-red-600"
                       >
                         Rebond
                       </button>
                     )}
+                    {request.status === 'unlocked' && (
+                      <button
+                        onClick={() => setQueue(prev => withdrawSequentialRequest(prev, request.id))}
+                        disabled={queue.pendingSlashes}
+                        className="mt-1 px-3 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700 disabled:bg-gray-400"
+                      >
+                        Withdraw
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -391,7 +272,7 @@ const ImprovedUnbondingSimulator = () => {
                 <XAxis dataKey="position" label={{ value: 'Queue Position', position: 'insideBottom', offset: -5 }} />
                 <YAxis label={{ value: 'Days Remaining', angle: -90, position: 'insideLeft' }} />
                 <Tooltip 
-                  formatter={(value, name) => [`${value.toFixed(1)} days`, 'Wait Time']}
+                  formatter={(value) => [`${value.toFixed(1)} days`, 'Wait Time']}
                   labelFormatter={(position) => `Position: ${position}`}
                 />
                 <Bar dataKey="days_remaining" fill="#3B82F6" />
@@ -406,11 +287,11 @@ const ImprovedUnbondingSimulator = () => {
         <h2 className="text-xl font-semibold text-yellow-900 mb-4">RFC-0097 Implementation Notes</h2>
         <ul className="space-y-2 text-yellow-800 text-sm">
           <li>• <strong>Sequential Queue:</strong> Each request adds time to the back of the queue, not capacity competition</li>
-          <li>• <strong>Rebonding Impact:</strong> Rebonding subtracts time from queue, moving everyone forward</li>
-          <li>• <strong>Splitting Benefits:</strong> Smaller requests can "ride behind" larger ones more efficiently</li>
+          <li>• <strong>Rebonding Impact:</strong> Rebonding replays every remaining request in order, moving everyone behind it forward</li>
+          <li>• <strong>Splitting Benefits:</strong> Smaller requests can &quot;ride behind&quot; larger ones more efficiently</li>
           <li>• <strong>Deferred Slashing:</strong> Pending slashes can freeze the entire queue until resolved</li>
           <li>• <strong>Dynamic Parameters:</strong> max_unstake should update every era based on actual validator backing</li>
-          <li>• <strong>Time Progression:</strong> Queue naturally empties as time passes and tokens are released</li>
+          <li>• <strong>Time Progression:</strong> A block clock advances; each request unlocks at its own block, always between the lower and upper bound</li>
         </ul>
       </div>
     </div>
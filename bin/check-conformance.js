@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Run JSON test vectors from the R reference implementation or the spec against every
+// implementation of the backward threshold scan and report where they disagree.
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parseConformanceVectors, runConformanceVectors } from '../src/engine/index.js';
+
+const DEFAULT_VECTORS = new URL('../test-vectors/backward-scan.json', import.meta.url);
+
+const USAGE = `Usage: check-conformance [vectors.json ...] [options]
+
+Options:
+  --format <text|json>   Output format (default text)
+  --help                 Show this message
+
+Without files the bundled test-vectors/backward-scan.json is used.
+Exits with status 1 when any code path disagrees with a vector.`;
+
+const formatText = (vectors, report) => {
+  const lines = [`${vectors.length} vectors, ${report.totalChecks} checks`, ''];
+  Object.entries(report.byPath).forEach(([path, { checks, failed }]) => {
+    lines.push(`${path.padEnd(38)} ${checks - failed}/${checks} agree`);
+  });
+  if (report.disagreements.length > 0) {
+    lines.push('', 'Disagreements:');
+    report.disagreements.forEach(d => {
+      const where = d.era === undefined ? '' : ` at era ${d.era}`;
+      const actual = d.error ? `threw "${d.error}"` : `got ${d.actual}`;
+      lines.push(`  ${d.vector}: ${d.path}${where} expected ${d.expected}, ${actual}`);
+    });
+  }
+  return lines.join('\n');
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'text' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`--format must be text or json, got "${values.format}"`);
+  }
+
+  const files = positionals.length > 0 ? positionals : [DEFAULT_VECTORS];
+  const vectors = [];
+  for (const file of files) {
+    try {
+      vectors.push(...parseConformanceVectors(await readFile(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+
+  const report = runConformanceVectors(vectors);
+  console.log(values.format === 'json' ? JSON.stringify(report, null, 2) : formatText(vectors, report));
+  if (report.disagreements.length > 0) process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error(`check-conformance: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Replay a historical daily unbonding CSV through the era-based unbonding rules
+// and write per-row results plus summary statistics. Columns are matched to
+// date, total_stake and unbonded_amount by name unless given explicitly.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  DEFAULT_EMPIRICAL_PARAMS,
+  importUnbondingCsv,
+  analyzeUnbondingHistory,
+  summarizeEmpiricalData,
+  formatEmpiricalCsv,
+  formatEmpiricalJson,
+} from '../src/engine/index.js';
+
+const USAGE = `Usage: replay-unbonding <input.csv> [options]
+
+Options:
+  --bonding-duration <eras>       BONDING_DURATION (default ${DEFAULT_EMPIRICAL_PARAMS.BONDING_DURATION})
+  --min-unbonding-eras <eras>     MIN_UNBONDING_ERAS (default ${DEFAULT_EMPIRICAL_PARAMS.MIN_UNBONDING_ERAS})
+  --min-slashable-share <share>   MIN_SLASHABLE_SHARE (default ${DEFAULT_EMPIRICAL_PARAMS.MIN_SLASHABLE_SHARE})
+  --lowest-third-ratio <ratio>    Lowest-third stake / total stake (default ${DEFAULT_EMPIRICAL_PARAMS.lowestThirdRatio})
+  --date-column <name>            CSV column holding the date (default: guessed from headers)
+  --stake-column <name>           CSV column holding total_stake (default: guessed)
+  --unbonded-column <name>        CSV column holding unbonded_amount (default: guessed)
+  --decimals <n>                  Amounts are Planck with n decimals, e.g. 10 or 12 (default 0, whole tokens)
+  --eras-per-day <n>              Rows are per era with n eras a day, e.g. 4 for Kusama (default 1, daily rows)
+  --gaps <fill|reject>            Fill missing periods with zero unbonding or refuse the file (default fill)
+  --format <csv|json>             Output format (default csv)
+  --output <file>                 Write results to a file instead of stdout
+  --help                          Show this message
+
+CSV output carries one line per row; the summary is printed to stderr.
+JSON output is a single object with params, import report, summary and rows.
+Rejected rows, duplicate periods and missing periods are always reported on stderr.`;
+
+const parseNumberOption = (values, name, fallback) => {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`--${name} must be a number, got "${values[name]}"`);
+  }
+  return value;
+};
+
+const formatSummary = (summary) =>
+  Object.entries(summary)
+    .map(([key, value]) => `${key}: ${typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value}`)
+    .join('\n');
+
+const printImportReport = (report) => {
+  report.rejected.forEach(({ row, reason }) => console.error(`row ${row} rejected: ${reason}`));
+  if (report.missingDays.length > 0) {
+    console.error(`${report.missingDays.length} missing ${report.unit}s, ${report.filledDays} filled with zero unbonding`);
+  }
+  if (!report.wasSorted) console.error('rows were not in date order and have been sorted');
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'bonding-duration': { type: 'string' },
+      'min-unbonding-eras': { type: 'string' },
+      'min-slashable-share': { type: 'string' },
+      'lowest-third-ratio': { type: 'string' },
+      'date-column': { type: 'string' },
+      'stake-column': { type: 'string' },
+      'unbonded-column': { type: 'string' },
+      decimals: { type: 'string', default: '0' },
+      'eras-per-day': { type: 'string', default: '1' },
+      gaps: { type: 'string', default: 'fill' },
+      format: { type: 'string', default: 'csv' },
+      output: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  if (!['csv', 'json'].includes(values.format)) {
+    throw new Error(`--format must be csv or json, got "${values.format}"`);
+  }
+  if (!['fill', 'reject'].includes(values.gaps)) {
+    throw new Error(`--gaps must be fill or reject, got "${values.gaps}"`);
+  }
+
+  const params = {
+    BONDING_DURATION: parseNumberOption(values, 'bonding-duration', DEFAULT_EMPIRICAL_PARAMS.BONDING_DURATION),
+    MIN_UNBONDING_ERAS: parseNumberOption(values, 'min-unbonding-eras', DEFAULT_EMPIRICAL_PARAMS.MIN_UNBONDING_ERAS),
+    MIN_SLASHABLE_SHARE: parseNumberOption(values, 'min-slashable-share', DEFAULT_EMPIRICAL_PARAMS.MIN_SLASHABLE_SHARE),
+    lowestThirdRatio: parseNumberOption(values, 'lowest-third-ratio', DEFAULT_EMPIRICAL_PARAMS.lowestThirdRatio),
+  };
+
+  const text = await readFile(positionals[0], 'utf8');
+  const mapping = {};
+  if (values['date-column']) mapping.date = values['date-column'];
+  if (values['stake-column']) mapping.total_stake = values['stake-column'];
+  if (values['unbonded-column']) mapping.unbonded_amount = values['unbonded-column'];
+  const report = importUnbondingCsv(text, {
+    mapping,
+    decimals: parseNumberOption(values, 'decimals', 0),
+    gaps: values.gaps,
+    erasPerDay: parseNumberOption(values, 'eras-per-day', 1),
+  });
+  printImportReport(report);
+  if (report.fileError) {
+    throw new Error(`file rejected: ${report.fileError}`);
+  }
+
+  const rows = analyzeUnbondingHistory(report.rows, params);
+  const summary = summarizeEmpiricalData(rows);
+
+  let output;
+  if (values.format === 'json') {
+    output = formatEmpiricalJson(rows, params, { import: { ...report, rows: undefined } });
+  } else {
+    output = formatEmpiricalCsv(rows);
+    console.error(formatSummary(summary));
+  }
+
+  if (values.output) {
+    await writeFile(values.output, output + '\n');
+  } else {
+    process.stdout.write(output + '\n');
+  }
+};
+
+main().catch((error) => {
+  console.error(`replay-unbonding: ${error.message}`);
+  process.exitCode = 1;
+});
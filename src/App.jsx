@@ -1,397 +1,238 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell, ScatterChart, Scatter, ComposedChart } from 'recharts';
-import Papa from 'papaparse';
+import { useState, useMemo, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Bar, ComposedChart } from 'recharts';
+import {
+  createEngineState,
+  createHistory,
+  recordEvent,
+  updateReplay,
+  seekHistory,
+  undo,
+  redo,
+  getHistoryTimeline,
+  observeReplayStep,
+  getReplayMonitor,
+  rebondLedger,
+  getMaxUnstakeForEra,
+  canWithdraw,
+  estimateUnbondingTime,
+  explainUnbondingTime,
+  estimateNewUnbondingTime,
+  DEFAULT_STAKER_ID,
+  getStaker,
+  getStakerChunks,
+  canUnbond,
+  diffEstimatedWaits,
+  parseValidatorSnapshots,
+  downsample,
+  summarizeEmpiricalData,
+  formatEmpiricalCsv,
+  formatEmpiricalJson,
+  formatEmpiricalSummaryMarkdown,
+  exportScenario,
+  decodeShareLink,
+  NETWORK_PRESETS,
+  getPresetId,
+  getEraStartTime,
+  getTimeAfterEras,
+} from './engine/index.js';
+import { formatAmount, formatToken, formatEras as formatErasFor, formatDateTime } from './format.js';
+import NetworkSelector from './components/NetworkSelector.jsx';
+import CsvImportPanel from './components/CsvImportPanel.jsx';
+import { analyzeInWorker } from './analyzeInWorker.js';
+import { downloadFile } from './download.js';
+import ChartExportButtons from './components/ChartExportButtons.jsx';
+import SweepPanel from './components/SweepPanel.jsx';
+import WaitTrace from './components/WaitTrace.jsx';
+import ProjectionPanel from './components/ProjectionPanel.jsx';
+import InvariantMonitorPanel from './components/InvariantMonitorPanel.jsx';
+import MonteCarloPanel from './components/MonteCarloPanel.jsx';
+import AdversaryPanel from './components/AdversaryPanel.jsx';
+import AdvisorPanel from './components/AdvisorPanel.jsx';
+import PoolsPanel from './components/PoolsPanel.jsx';
+import EraClockPanel from './components/EraClockPanel.jsx';
+import FastUnstakePanel from './components/FastUnstakePanel.jsx';
+import SlashingPanel from './components/SlashingPanel.jsx';
+import ScenarioPanel from './components/ScenarioPanel.jsx';
+import EventLogPanel from './components/EventLogPanel.jsx';
+
+const DEFAULT_TOTAL_STAKED = NETWORK_PRESETS.polkadot.totalStaked;
+const DEFAULT_LOWEST_THIRD_RATIO = 0.287;
+// Charts draw at most this many eras; longer histories are sampled evenly
+const MAX_CHART_POINTS = 2000;
+
+// Session shared in a link (#scenario=...), if the page was opened from one
+const readSharedScenario = () => {
+  const match = window.location.hash.match(/^#scenario=(.+)$/);
+  if (!match) return { loaded: null, error: null };
+  try {
+    return { loaded: decodeShareLink(match[1]), error: null };
+  } catch (error) {
+    return { loaded: null, error: `Could not load shared scenario: ${error.message}` };
+  }
+};
 
 const EraBasedUnbondingSimulator = () => {
-  // Network parameters
-  const [networkParams, setNetworkParams] = useState({
-    name: 'Polkadot',
-    BONDING_DURATION: 28, // eras
-    MIN_UNBONDING_ERAS: 2, // minimum eras before withdrawal
-    MIN_SLASHABLE_SHARE: 0.5,
-    ERAS_PER_DAY: 1, // Polkadot: ~4 eras per day, simplified to 1 for demo
-  });
+  const [sharedScenario] = useState(readSharedScenario);
 
-  // Era-based state (last 28 eras) - this is the key new storage model
-  const [eraData, setEraData] = useState(() => {
-    const initialEras = {};
-    for (let i = 0; i < 28; i++) {
-      initialEras[i] = {
-        lowest_third_stake: 229_600_000, // Default based on 800M total * 0.287
-        total_unbond_in_era: 0,
-      };
-    }
-    return initialEras;
+  // Event log over the engine; the engine state (network params, era data, current era,
+  // UnlockChunks) and the stake config inputs are rebuilt by replaying it up to the cursor
+  const [history, setHistory] = useState(() => {
+    if (sharedScenario.loaded) return sharedScenario.loaded;
+    // The clock anchor is taken once here and kept in the initial config, so replays and
+    // share links agree
+    const currentEraStart = Math.floor(Date.now() / 3_600_000) * 3_600_000;
+    return createHistory(createEngineState({ currentEraStart }), {
+      totalStakedDOT: DEFAULT_TOTAL_STAKED,
+      lowestThirdRatio: DEFAULT_LOWEST_THIRD_RATIO,
+      currentEraStart,
+    });
   });
+  // One replay of the log, with the invariant monitor attached, is kept across changes: recording
+  // an event applies only that event and moving the cursor applies none
+  const replayRef = useRef(null);
+  const replay = useMemo(() => {
+    replayRef.current = updateReplay(replayRef.current, history, observeReplayStep);
+    return replayRef.current;
+  }, [history]);
+  const { state: engine, config } = replay.steps[history.cursor];
+  const timeline = useMemo(() => getHistoryTimeline(history, replay), [history, replay]);
+  const monitor = useMemo(() => getReplayMonitor(replay, history.cursor), [replay, history.cursor]);
+  const { networkParams, eraData, currentEra, timeAdvanced, unlockChunks } = engine;
+  const { totalStakedDOT, lowestThirdRatio } = config;
 
-  // Current era and time
-  const [currentEra, setCurrentEra] = useState(27); // Start at era 27 (latest)
-  const [timeAdvanced, setTimeAdvanced] = useState(0);
-
-  // Individual UnlockChunks - new format per updated RFC
-  const [unlockChunks, setUnlockChunks] = useState([]);
-  const [nextChunkId, setNextChunkId] = useState(1);
+  const dispatch = (event) => setHistory(prev => recordEvent(prev, event));
 
   // UI state
   const [newUnbondingAmount, setNewUnbondingAmount] = useState(10000);
-  const [totalStakedDOT, setTotalStakedDOT] = useState(800_000_000);
-  const [lowestThirdRatio, setLowestThirdRatio] = useState(0.287);
+  const [rebondAmount, setRebondAmount] = useState(0);
+  const [selectedStakerId, setSelectedStakerId] = useState(DEFAULT_STAKER_ID);
+  const [newStakerName, setNewStakerName] = useState('');
+  const [newStakerBonded, setNewStakerBonded] = useState(100_000);
   
   // Empirical data state
   const [empiricalData, setEmpiricalData] = useState([]);
   const [showEmpiricalAnalysis, setShowEmpiricalAnalysis] = useState(false);
+  const [analysis, setAnalysis] = useState(null); // running worker: { done, total, cancel }
+  const [analysisError, setAnalysisError] = useState(null);
+  const [empiricalParams, setEmpiricalParams] = useState(null); // params the current results were analyzed with
+  const durationChartRef = useRef(null);
+  const utilizationChartRef = useRef(null);
+  const [snapshotError, setSnapshotError] = useState(null);
 
-  // Calculate max unstake per era
-  const getMaxUnstakeForEra = (era) => {
-    const lowestThirdStake = eraData[era]?.lowest_third_stake || 0;
-    return (1 - networkParams.MIN_SLASHABLE_SHARE) * lowestThirdStake;
-  };
+  // Replay imported empirical rows through the era rules in a worker; a new import cancels the last one
+  const handleEmpiricalImport = async (rows) => {
+    analysis?.cancel();
+    const params = {
+      BONDING_DURATION: networkParams.BONDING_DURATION,
+      MIN_UNBONDING_ERAS: networkParams.MIN_UNBONDING_ERAS,
+      MIN_SLASHABLE_SHARE: networkParams.MIN_SLASHABLE_SHARE,
+      lowestThirdRatio,
+    };
+    const { result, cancel } = analyzeInWorker(rows, params, (done, total) => setAnalysis(prev => prev && prev.cancel === cancel ? { ...prev, done, total } : prev));
+    setAnalysis({ done: 0, total: rows.length, cancel });
 
-  // Core RFC withdrawal check implementation (R-style algorithm)
-  const canWithdraw = useCallback((chunk) => {
-    const { unbonding_amount, unbonding_start_era, previous_unbonded_stake_in_era } = chunk;
-    
-    // Check minimum time requirement
-    if (currentEra < unbonding_start_era + networkParams.MIN_UNBONDING_ERAS) {
-      return { canWithdraw: false, reason: `Must wait ${networkParams.MIN_UNBONDING_ERAS} eras minimum` };
+    try {
+      const processedData = await result;
+      if (processedData === null) return;
+      setEmpiricalData(processedData);
+      setEmpiricalParams({ network: networkParams.name, ...params });
+      setShowEmpiricalAnalysis(true);
+      setAnalysisError(null);
+    } catch (error) {
+      setAnalysisError(`Analysis failed: ${error.message}`);
+    } finally {
+      setAnalysis(prev => (prev?.cancel === cancel ? null : prev));
     }
+  };
 
-    // If chunk started before our era window, can withdraw
-    if (unbonding_start_era < currentEra - (networkParams.BONDING_DURATION - 1)) {
-      return { canWithdraw: true, reason: 'Outside bonding duration window' };
+  const copySummaryMarkdown = async () => {
+    const markdown = formatEmpiricalSummaryMarkdown(empiricalSummary, token);
+    try {
+      await navigator.clipboard.writeText(markdown);
+    } catch {
+      // Clipboard access can be denied; fall back to a file
+      downloadFile('unbonding-summary.md', markdown, 'text/markdown');
     }
+  };
 
-    let e = 0; // Count of eras that pass threshold test
-    
-    // Backward scan through window_size eras (R algorithm)
-    for (let k = 1; k <= networkParams.BONDING_DURATION; k++) {
-      const lookbackEra = currentEra - k + 1;
-      if (lookbackEra < unbonding_start_era) break;
-      
-      // Sum unbonding from lookbackEra through currentEra (inclusive)
-      let sumWindow = 0;
-      for (let era = lookbackEra; era <= currentEra; era++) {
-        if (era === unbonding_start_era) {
-          // For starting era, use the chunk's snapshot of previous unbonded + this chunk
-          sumWindow += Math.min(
-            eraData[era]?.total_unbond_in_era || 0,
-            previous_unbonded_stake_in_era + unbonding_amount
-          );
-        } else {
-          sumWindow += eraData[era]?.total_unbond_in_era || 0;
-        }
-      }
-      
-      // Use threshold for the lookback era
-      const historicalThreshold = (1 - networkParams.MIN_SLASHABLE_SHARE) * 
-                                  (eraData[lookbackEra]?.lowest_third_stake || 0);
-      
-      if (sumWindow <= historicalThreshold) {
-        e++;
-      } else {
-        // Threshold exceeded - calculate remaining time
-        const remainingEras = Math.max(
-          0,
-          networkParams.BONDING_DURATION - e,
-          networkParams.MIN_UNBONDING_ERAS,
-          unbonding_start_era + networkParams.MIN_UNBONDING_ERAS - currentEra
-        );
-        return { 
-          canWithdraw: false, 
-          reason: `Threshold exceeded at era ${lookbackEra}`,
-          estimatedErasRemaining: remainingEras
-        };
-      }
-    }
+  const cancelAnalysis = () => {
+    analysis?.cancel();
+    setAnalysis(null);
+  };
 
-    return { canWithdraw: true, reason: 'All threshold checks passed' };
-  }, [currentEra, eraData, networkParams]);
+  // Handle validator backing snapshot upload
+  const handleSnapshotUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-  // Estimate unbonding time for existing chunk (R-style algorithm)
-  const estimateUnbondingTime = useCallback((chunk) => {
-    const { unbonding_amount, unbonding_start_era, previous_unbonded_stake_in_era } = chunk;
-    
-    // If chunk started before our era window, can withdraw after minimum delay
-    if (unbonding_start_era < currentEra - (networkParams.BONDING_DURATION - 1)) {
-      return Math.max(0, unbonding_start_era + networkParams.MIN_UNBONDING_ERAS - currentEra);
+    try {
+      const snapshots = parseValidatorSnapshots(await file.text());
+      dispatch({ type: 'loadSnapshots', snapshots });
+      setSnapshotError(null);
+    } catch (error) {
+      setSnapshotError(`Could not load snapshots: ${error.message}`);
     }
-    
-    let e = 0; // Count of eras that pass threshold test
-    
-    // Backward scan through window_size eras (R algorithm)
-    for (let k = 1; k <= networkParams.BONDING_DURATION; k++) {
-      const lookbackEra = currentEra - k + 1;
-      if (lookbackEra < unbonding_start_era) break;
-      
-      // Sum unbonding from lookbackEra through currentEra (inclusive)
-      let sumWindow = 0;
-      for (let era = lookbackEra; era <= currentEra; era++) {
-        if (era === unbonding_start_era) {
-          // For starting era, use the chunk's snapshot of previous unbonded + this chunk
-          sumWindow += Math.min(
-            eraData[era]?.total_unbond_in_era || 0,
-            previous_unbonded_stake_in_era + unbonding_amount
-          );
-        } else {
-          sumWindow += eraData[era]?.total_unbond_in_era || 0;
-        }
-      }
-      
-      // Use threshold for the lookback era
-      const historicalThreshold = (1 - networkParams.MIN_SLASHABLE_SHARE) * 
-                                  (eraData[lookbackEra]?.lowest_third_stake || 0);
-      
-      if (sumWindow <= historicalThreshold) {
-        e++;
-      } else {
-        break;
-      }
-    }
-    
-    // Duration calculation: window_size - e, with minimum delay
-    return Math.max(
-      networkParams.BONDING_DURATION - e, 
-      networkParams.MIN_UNBONDING_ERAS,
-      unbonding_start_era + networkParams.MIN_UNBONDING_ERAS - currentEra
-    );
-  }, [currentEra, eraData, networkParams]);
-
-  // Estimate unbonding time for prospective unbonder (R-style algorithm)
-  const estimateNewUnbondingTime = useCallback((unbond_amount) => {
-    const currentEraIndex = currentEra;
-    
-    // Create a temporary era array for simulation
-    const tempEraData = {...eraData};
-    tempEraData[currentEra] = {
-      ...tempEraData[currentEra],
-      total_unbond_in_era: (tempEraData[currentEra]?.total_unbond_in_era || 0) + unbond_amount
-    };
-    
-    let e = 0; // Count of eras that pass threshold test
-    
-    // Backward scan through window_size eras (R algorithm)
-    for (let k = 1; k <= networkParams.BONDING_DURATION; k++) {
-      const lookbackEra = currentEra - k + 1;
-      if (lookbackEra < 0) break;
-      
-      // Sum unbonding from lookbackEra through currentEra (inclusive)
-      let sumWindow = 0;
-      for (let era = lookbackEra; era <= currentEra; era++) {
-        sumWindow += tempEraData[era]?.total_unbond_in_era || 0;
-      }
-      
-      // Use threshold for the lookback era
-      const historicalThreshold = (1 - networkParams.MIN_SLASHABLE_SHARE) * 
-                                  (tempEraData[lookbackEra]?.lowest_third_stake || 0);
-      
-      if (sumWindow <= historicalThreshold) {
-        e++;
-      } else {
-        break;
-      }
-    }
-    
-    // Duration calculation: window_size - e, with minimum delay
-    return Math.max(
-      networkParams.BONDING_DURATION - e, 
-      networkParams.MIN_UNBONDING_ERAS
-    );
-  }, [currentEra, eraData, networkParams]);
-
-  // Add new unbonding request
-  const addUnbondingRequest = () => {
-    if (newUnbondingAmount <= 0) return;
-
-    const unbonding_start_era = currentEra;
-    const previous_unbonded_stake_in_era = eraData[currentEra]?.total_unbond_in_era || 0;
-    
-    const newChunk = {
-      id: nextChunkId,
-      unbonding_amount: newUnbondingAmount,
-      unbonding_start_era: unbonding_start_era,
-      previous_unbonded_stake_in_era: previous_unbonded_stake_in_era,
-      status: 'pending',
-    };
-
-    // Update era data
-    setEraData(prev => ({
-      ...prev,
-      [currentEra]: {
-        ...prev[currentEra],
-        total_unbond_in_era: (prev[currentEra]?.total_unbond_in_era || 0) + newUnbondingAmount
-      }
-    }));
-
-    setUnlockChunks(prev => [...prev, newChunk]);
-    setNextChunkId(prev => prev + 1);
   };
 
-  // Rebond functionality per updated RFC
-  const rebondChunk = (chunkId, rebond_amount) => {
-    setUnlockChunks(prev => {
-      return prev.map(chunk => {
-        if (chunk.id !== chunkId || chunk.status !== 'pending') return chunk;
-        
-        const actualRebond = Math.min(rebond_amount, chunk.unbonding_amount);
-        const newAmount = chunk.unbonding_amount - actualRebond;
-        
-        // Update era data - subtract from total_unbond_in_era if within last 28 eras
-        if (chunk.unbonding_start_era >= currentEra - (networkParams.BONDING_DURATION - 1)) {
-          setEraData(prevEras => ({
-            ...prevEras,
-            [chunk.unbonding_start_era]: {
-              ...prevEras[chunk.unbonding_start_era],
-              total_unbond_in_era: Math.max(0, 
-                (prevEras[chunk.unbonding_start_era]?.total_unbond_in_era || 0) - actualRebond
-              )
-            }
-          }));
-        }
-        
-        // Remove chunk if fully rebonded, otherwise reduce amount
-        return newAmount <= 0 ? null : { ...chunk, unbonding_amount: newAmount };
-      }).filter(Boolean);
-    });
+  // Ratio inputs rewrite lowest_third_stake for eras without a validator snapshot
+  const updateTotalStaked = (value) => {
+    dispatch({ type: 'setStakeConfig', totalStakedDOT: value, lowestThirdRatio });
   };
 
-  // Advance time by eras
-  const advanceEras = (eras) => {
-    const newEra = currentEra + eras;
-    setCurrentEra(newEra);
-    setTimeAdvanced(prev => prev + eras);
-    
-    // Update era data - maintain sliding window of last 28 eras
-    setEraData(prev => {
-      const newEraData = {};
-      
-      // Calculate the new era range: [newEra - 27, newEra]
-      const oldestEra = newEra - (networkParams.BONDING_DURATION - 1);
-      
-      for (let era = oldestEra; era <= newEra; era++) {
-        if (prev[era]) {
-          // Keep existing era data
-          newEraData[era] = prev[era];
-        } else {
-          // Create new era with default values
-          newEraData[era] = {
-            lowest_third_stake: lowestThirdRatio * totalStakedDOT,
-            total_unbond_in_era: 0,
-          };
-        }
-      }
-      
-      return newEraData;
-    });
+  const updateLowestThirdRatio = (value) => {
+    dispatch({ type: 'setStakeConfig', totalStakedDOT, lowestThirdRatio: value });
   };
 
-  // Handle empirical data upload
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    const text = await file.text();
-    const parsed = Papa.parse(text, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true
-    });
-    
-    const filteredData = parsed.data.filter(row => row.date && row.total_stake && row.unbonded_amount);
-    const processedData = [];
-    
-    // R-style algorithm implementation
-    filteredData.forEach((row, index) => {
-      const amount = row.unbonded_amount;
-      const maxStake = (1 - networkParams.MIN_SLASHABLE_SHARE) * (lowestThirdRatio * row.total_stake);
-      
-      // Need at least 29 days to get one full 28-day history + 1 simulation point
-      if (index < networkParams.BONDING_DURATION) {
-        processedData.push({
-          ...row,
-          date: new Date(row.date).toISOString().split('T')[0],
-          estimatedDuration: null,
-          capacity: maxStake,
-          utilizationRatio: null,
-          hasFullHistory: false
-        });
-        return;
-      }
-
-      let e = 0; // Count of eras that pass threshold test
-      
-      // Backward scan through window_size eras (R algorithm)
-      for (let k = 1; k <= networkParams.BONDING_DURATION; k++) {
-        const lookbackIndex = index - k + 1;
-        if (lookbackIndex < 0) break;
-        
-        // Sum unbonding from lookbackIndex through current index (inclusive)
-        const sumWindow = filteredData
-          .slice(lookbackIndex, index + 1)
-          .reduce((sum, d) => sum + (d.unbonded_amount || 0), 0);
-        
-        // Use historical max_stake for the lookback era
-        const historicalMaxStake = (1 - networkParams.MIN_SLASHABLE_SHARE) * 
-                                   (lowestThirdRatio * filteredData[lookbackIndex].total_stake);
-        
-        if (sumWindow <= historicalMaxStake) {
-          e++;
-        } else {
-          break;
-        }
-      }
-      
-      // Duration calculation: window_size - e, with minimum delay
-      const duration = Math.max(
-        networkParams.BONDING_DURATION - e, 
-        networkParams.MIN_UNBONDING_ERAS
-      );
-      
-      processedData.push({
-        ...row,
-        date: new Date(row.date).toISOString().split('T')[0],
-        capacity: maxStake,
-        utilizationRatio: (amount / maxStake) * 100,
-        estimatedDuration: duration,
-        hasFullHistory: true,
-        erasPassed: e
-      });
-    });
-    
-    setEmpiricalData(processedData);
-    setShowEmpiricalAnalysis(true);
+  // Switching network resizes the era window; a preset also brings its typical total stake
+  const switchNetwork = (params, totalStaked = totalStakedDOT) => {
+    dispatch({ type: 'setNetwork', networkParams: params, totalStakedDOT: totalStaked, lowestThirdRatio });
   };
-  useEffect(() => {
-    setEraData(prev => {
-      const updatedEras = {};
-      Object.keys(prev).forEach(era => {
-        updatedEras[era] = {
-          ...prev[era],
-          lowest_third_stake: lowestThirdRatio * totalStakedDOT
-        };
-      });
-      return updatedEras;
-    });
-  }, [totalStakedDOT, lowestThirdRatio]);
 
-  const formatAmount = (amount) => {
-    if (amount >= 1_000_000) return `${(amount / 1_000_000).toFixed(1)}M`;
-    if (amount >= 1_000) return `${(amount / 1_000).toFixed(1)}K`;
-    return amount.toString();
+  const advance = (eras) => {
+    dispatch({ type: 'advance', eras, lowestThirdStake: lowestThirdRatio * totalStakedDOT });
   };
 
-  const formatEras = (eras) => {
-    if (networkParams.name === 'Polkadot') {
-      const days = eras; // ~1 era per day on Polkadot
-      return `${eras} eras (~${days} days)`;
-    } else {
-      const days = eras / 4; // ~4 eras per day on Kusama
-      return `${eras} eras (~${days.toFixed(1)} days)`;
-    }
+  // A loaded scenario starts a fresh event log
+  const loadScenario = ({ state, config: loadedConfig }) => {
+    setHistory(createHistory(state, {
+      totalStakedDOT: loadedConfig.totalStakedDOT ?? DEFAULT_TOTAL_STAKED,
+      lowestThirdRatio: loadedConfig.lowestThirdRatio ?? DEFAULT_LOWEST_THIRD_RATIO,
+    }));
+    setNewUnbondingAmount(loadedConfig.newUnbondingAmount ?? newUnbondingAmount);
+    setSelectedStakerId(state.stakers[0]?.id ?? DEFAULT_STAKER_ID);
+    setRebondAmount(0);
   };
 
-  const currentMaxUnstake = getMaxUnstakeForEra(currentEra);
+  const formatEras = (eras) => formatErasFor(eras, networkParams);
+  // Waits counted from the current era, with the calendar time they end at on the era clock
+  const formatWait = (eras) => `${formatEras(eras)}, ${formatDateTime(getTimeAfterEras(engine, eras))}`;
+  const formatEraTime = (era) => formatDateTime(getEraStartTime(engine, era));
+  const formatTokens = (amount) => formatToken(amount, networkParams);
+  const token = networkParams.TOKEN_SYMBOL;
+  const presetTotalStaked = NETWORK_PRESETS[getPresetId(networkParams)].totalStaked;
+
+  const currentMaxUnstake = getMaxUnstakeForEra(engine, currentEra);
   const currentTotalUnbond = eraData[currentEra]?.total_unbond_in_era || 0;
   const utilizationPercent = (currentTotalUnbond / currentMaxUnstake) * 100;
+  const snapshotEraCount = Object.keys(engine.lowestThirdSnapshots).length;
+  const empiricalSummary = useMemo(() => summarizeEmpiricalData(empiricalData), [empiricalData]);
+  const chartData = useMemo(
+    () => downsample(empiricalData.filter(d => d.hasFullHistory), MAX_CHART_POINTS),
+    [empiricalData]
+  );
+  const selectedStaker = getStaker(engine, selectedStakerId);
+  const unbondCheck = canUnbond(engine, selectedStakerId, newUnbondingAmount);
+  const rebondPreview = rebondLedger(engine, rebondAmount, selectedStakerId);
+  const rebondWaitChanges = diffEstimatedWaits(engine, rebondPreview);
+  const eligibleChunkCount = getStakerChunks(engine, selectedStakerId)
+    .filter(c => canWithdraw(engine, c).canWithdraw).length;
+  const stakerName = (stakerId) => getStaker(engine, stakerId)?.name ?? `#${stakerId}`;
+
+  const handleAddStaker = () => {
+    if (!newStakerName.trim()) return;
+    dispatch({ type: 'addStaker', name: newStakerName.trim(), bonded: newStakerBonded });
+    setNewStakerName('');
+  };
 
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-8">
@@ -412,7 +253,7 @@ const EraBasedUnbondingSimulator = () => {
         </div>
         <div className="bg-blue-50 p-4 rounded-lg">
           <div className="text-sm text-blue-600 font-medium">Era Capacity</div>
-          <div className="text-xl font-bold text-blue-900">{formatAmount(currentMaxUnstake)} DOT</div>
+          <div className="text-xl font-bold text-blue-900">{formatTokens(currentMaxUnstake)}</div>
         </div>
         <div className="bg-orange-50 p-4 rounded-lg">
           <div className="text-sm text-orange-600 font-medium">Era Utilization</div>
@@ -424,28 +265,38 @@ const EraBasedUnbondingSimulator = () => {
         </div>
         <div className="bg-red-50 p-4 rounded-lg">
           <div className="text-sm text-red-600 font-medium">New Request Wait</div>
-          <div className="text-xl font-bold text-red-900">{formatEras(estimateNewUnbondingTime(10000))}</div>
+          <div className="text-xl font-bold text-red-900">{formatEras(estimateNewUnbondingTime(engine, 10000))}</div>
+          <div className="text-xs text-red-500">{formatDateTime(getTimeAfterEras(engine, estimateNewUnbondingTime(engine, 10000)))}</div>
         </div>
       </div>
 
+      {/* Scenario */}
+      <ScenarioPanel
+        scenario={exportScenario(engine, { totalStakedDOT, lowestThirdRatio, newUnbondingAmount })}
+        history={history}
+        onLoadScenario={loadScenario}
+        initialError={sharedScenario.error}
+      />
+
       {/* Network Configuration */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">Network Configuration</h2>
+        <NetworkSelector networkParams={networkParams} onChange={switchNetwork} />
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Total Staked DOT
+              Total Staked {token}
             </label>
             <input
               type="number"
               value={totalStakedDOT}
-              onChange={(e) => setTotalStakedDOT(Math.max(100_000_000, parseFloat(e.target.value) || 800_000_000))}
+              onChange={(e) => updateTotalStaked(Math.max(1, parseFloat(e.target.value) || presetTotalStaked))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              min="100000000"
-              step="50000000"
+              min="1"
+              step={presetTotalStaked / 16}
             />
             <div className="mt-1 text-sm text-gray-500">
-              Current: {formatAmount(totalStakedDOT)} DOT
+              Current: {formatTokens(totalStakedDOT)}
             </div>
           </div>
           
@@ -456,7 +307,7 @@ const EraBasedUnbondingSimulator = () => {
             <input
               type="number"
               value={lowestThirdRatio}
-              onChange={(e) => setLowestThirdRatio(Math.max(0.1, Math.min(0.5, parseFloat(e.target.value) || 0.287)))}
+              onChange={(e) => updateLowestThirdRatio(Math.max(0.1, Math.min(0.5, parseFloat(e.target.value) || DEFAULT_LOWEST_THIRD_RATIO)))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               min="0.1"
               max="0.5"
@@ -467,15 +318,147 @@ const EraBasedUnbondingSimulator = () => {
             </div>
           </div>
         </div>
+
+        <div className="mt-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Validator Backing Snapshots (JSON or CSV)
+          </label>
+          <div className="flex gap-4 items-center">
+            <input
+              type="file"
+              accept=".json,.csv"
+              onChange={handleSnapshotUpload}
+              className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            {snapshotEraCount > 0 && (
+              <button
+                onClick={() => dispatch({ type: 'clearSnapshots' })}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 whitespace-nowrap"
+              >
+                Clear Snapshots
+              </button>
+            )}
+          </div>
+          <div className="mt-1 text-sm text-gray-500">
+            {snapshotEraCount > 0
+              ? `${snapshotEraCount} eras use the lowest third of validator stakes; other eras use the ratio above`
+              : 'Per-era validator stakes, e.g. {"27": [stake, ...]} or CSV columns era,stake'}
+          </div>
+          {snapshotError && (
+            <div className="mt-1 text-sm text-red-600">{snapshotError}</div>
+          )}
+        </div>
+      </div>
+
+      {/* Stakers */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <h2 className="text-xl font-semibold mb-4">Stakers</h2>
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2">Staker</th>
+                <th className="text-left p-2">Bonded</th>
+                <th className="text-left p-2">Active</th>
+                <th className="text-left p-2">Unlocking</th>
+                <th className="text-left p-2">Free</th>
+                <th className="text-left p-2">Chunks</th>
+                <th className="text-left p-2">Longest Wait</th>
+              </tr>
+            </thead>
+            <tbody>
+              {engine.stakers.map(staker => {
+                const chunks = getStakerChunks(engine, staker.id);
+                const isSelected = staker.id === selectedStakerId;
+                const isPoolLedger = staker.poolId !== undefined;
+                return (
+                  <tr
+                    key={staker.id}
+                    onClick={() => !isPoolLedger && setSelectedStakerId(staker.id)}
+                    className={`border-b ${isPoolLedger ? 'text-gray-500' : 'cursor-pointer'} ${isSelected ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <td className="p-2 font-medium">
+                      {staker.name} {isSelected && '(selected)'} {isPoolLedger && '(managed by pool members)'}
+                    </td>
+                    <td className="p-2">{formatAmount(staker.bonded)}</td>
+                    <td className="p-2">{formatAmount(staker.active)}</td>
+                    <td className="p-2">{formatAmount(staker.bonded - staker.active)}</td>
+                    <td className="p-2">{formatAmount(staker.free)}</td>
+                    <td className="p-2">{chunks.length} / {networkParams.MAX_UNLOCKING_CHUNKS}</td>
+                    <td className="p-2">
+                      {chunks.length > 0
+                        ? formatWait(Math.max(...chunks.map(c => estimateUnbondingTime(engine, c))))
+                        : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex gap-4 items-end">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Staker Name
+            </label>
+            <input
+              type="text"
+              value={newStakerName}
+              onChange={(e) => setNewStakerName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g. Whale"
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Bonded ({token})
+            </label>
+            <input
+              type="number"
+              value={newStakerBonded}
+              onChange={(e) => setNewStakerBonded(Math.max(0, parseFloat(e.target.value) || 0))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              min="0"
+              step="1000"
+            />
+          </div>
+          <button
+            onClick={handleAddStaker}
+            disabled={!newStakerName.trim() || newStakerBonded <= 0}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Add Staker
+          </button>
+        </div>
       </div>
 
+      {/* Nomination Pools */}
+      <PoolsPanel
+        engine={engine}
+        tokenSymbol={token}
+        formatTokens={formatTokens}
+        formatEras={formatWait}
+        onCreatePool={(name, depositor, deposit) => dispatch({ type: 'createPool', name, depositor, deposit })}
+        onJoinPool={(poolId, name, amount) => dispatch({ type: 'joinPool', poolId, name, amount })}
+        onUnbond={(poolId, memberId, amount) => dispatch({ type: 'poolUnbond', poolId, memberId, amount })}
+        onWithdraw={(poolId, memberId) => dispatch({ type: 'poolWithdraw', poolId, memberId })}
+      />
+
+      {/* Fast Unstake */}
+      <FastUnstakePanel
+        engine={engine}
+        formatTokens={formatTokens}
+        onSetExposure={(stakerId, exposed) => dispatch({ type: 'setExposure', stakerId, exposed })}
+        onFastUnstake={(stakerId) => dispatch({ type: 'fastUnstake', stakerId })}
+      />
+
       {/* Add Unbonding Request */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
-        <h2 className="text-xl font-semibold mb-4">Create Unbonding Request</h2>
+        <h2 className="text-xl font-semibold mb-4">Create Unbonding Request for {selectedStaker?.name}</h2>
         <div className="flex gap-4 items-end">
           <div className="flex-1">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Amount to Unbond (DOT)
+              Amount to Unbond ({token})
             </label>
             <input
               type="number"
@@ -487,40 +470,124 @@ const EraBasedUnbondingSimulator = () => {
             />
           </div>
           <button
-            onClick={addUnbondingRequest}
-            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            onClick={() => dispatch({ type: 'unbond', amount: newUnbondingAmount, stakerId: selectedStakerId })}
+            disabled={!unbondCheck.canUnbond}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
           >
             Start Unbonding
           </button>
         </div>
         <div className="mt-3 p-3 bg-blue-50 rounded">
           <div className="text-sm text-blue-800">
-            <strong>Estimated wait time:</strong> {formatEras(estimateNewUnbondingTime(newUnbondingAmount))}
+            <strong>Estimated wait time:</strong> {formatWait(estimateNewUnbondingTime(engine, newUnbondingAmount))}
           </div>
+          <div className="text-xs text-blue-600 mt-1">{unbondCheck.reason}</div>
         </div>
       </div>
 
+      {/* Splitting & Timing Advisor */}
+      <AdvisorPanel
+        engine={engine}
+        initialAmount={newUnbondingAmount}
+        lowestThirdStake={lowestThirdRatio * totalStakedDOT}
+        tokenSymbol={token}
+        formatTokens={formatTokens}
+        formatEras={formatWait}
+      />
+
+      {/* Ledger Rebond */}
+      {getStakerChunks(engine, selectedStakerId).length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-4">Rebond from {selectedStaker?.name}&apos;s Ledger</h2>
+          <div className="flex gap-4 items-end">
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Amount to Rebond ({token})
+              </label>
+              <input
+                type="number"
+                value={rebondAmount}
+                onChange={(e) => setRebondAmount(Math.max(0, parseFloat(e.target.value) || 0))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                min="0"
+                step="1000"
+              />
+              <div className="mt-1 text-sm text-gray-500">
+                Taken from the newest unlocking chunks first; the last chunk touched is split
+              </div>
+            </div>
+            <button
+              onClick={() => dispatch({ type: 'rebondLedger', amount: rebondAmount, stakerId: selectedStakerId })}
+              disabled={rebondAmount <= 0}
+              className="px-6 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400"
+            >
+              Rebond
+            </button>
+          </div>
+          {rebondAmount > 0 && (
+            <div className="mt-4 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left p-2">Chunk</th>
+                    <th className="text-left p-2">Staker</th>
+                    <th className="text-left p-2">Start Era</th>
+                    <th className="text-left p-2">Amount</th>
+                    <th className="text-left p-2">Estimated Wait</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...unlockChunks]
+                    .sort((a, b) => b.id - a.id)
+                    .map(chunk => {
+                      const after = rebondPreview.unlockChunks.find(c => c.id === chunk.id);
+                      const waits = rebondWaitChanges.find(w => w.id === chunk.id);
+                      return (
+                        <tr key={chunk.id} className="border-b">
+                          <td className="p-2 font-medium">#{chunk.id}</td>
+                          <td className="p-2">{stakerName(chunk.stakerId)}</td>
+                          <td className="p-2">{chunk.unbonding_start_era}</td>
+                          <td className="p-2">
+                            {formatAmount(chunk.unbonding_amount)} → {after ? formatAmount(after.unbonding_amount) : 'rebonded'}
+                          </td>
+                          <td className="p-2">
+                            {waits ? (
+                              <span className={waits.after < waits.before ? 'text-green-600' : waits.after > waits.before ? 'text-red-600' : ''}>
+                                {formatEras(waits.before)} → {formatWait(waits.after)}
+                              </span>
+                            ) : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Era Management */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">Era Management</h2>
         <div className="flex gap-4 mb-4">
           <button
-            onClick={() => advanceEras(1)}
+            onClick={() => advance(1)}
             className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
           >
             +1 Era
           </button>
           <button
-            onClick={() => advanceEras(7)}
+            onClick={() => advance(7)}
             className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
           >
             +7 Eras
           </button>
           <button
-            onClick={() => advanceEras(28)}
+            onClick={() => advance(networkParams.BONDING_DURATION)}
             className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
           >
-            +28 Eras
+            +{networkParams.BONDING_DURATION} Eras
           </button>
         </div>
         <div className="text-sm text-gray-600">
@@ -528,18 +595,67 @@ const EraBasedUnbondingSimulator = () => {
         </div>
       </div>
 
+      {/* Era Clock */}
+      <EraClockPanel
+        key={networkParams.name}
+        engine={engine}
+        onAdvanceSessions={(sessions) => dispatch({ type: 'advanceSessions', sessions, lowestThirdStake: lowestThirdRatio * totalStakedDOT })}
+        onSetEraLength={(era, sessions) => dispatch({ type: 'setEraLength', era, sessions })}
+        onLoadEraTimes={(starts) => dispatch({ type: 'loadEraTimes', starts })}
+      />
+
+      {/* Event Log */}
+      <EventLogPanel
+        events={history.events}
+        cursor={history.cursor}
+        timeline={timeline}
+        onSeek={(cursor) => setHistory(prev => seekHistory(prev, cursor))}
+        onUndo={() => setHistory(undo)}
+        onRedo={() => setHistory(redo)}
+      />
+
+      {/* Security Invariant Monitor */}
+      <InvariantMonitorPanel
+        monitor={monitor}
+        events={history.events}
+        minSlashableShare={networkParams.MIN_SLASHABLE_SHARE}
+        formatTokens={formatTokens}
+        onSeek={(cursor) => setHistory(prev => seekHistory(prev, cursor))}
+      />
+
+      {/* Slashing */}
+      <SlashingPanel
+        key={networkParams.name}
+        slashes={engine.slashes}
+        stakers={engine.stakers}
+        currentEra={currentEra}
+        defaultDeferDuration={networkParams.SLASH_DEFER_DURATION}
+        tokenSymbol={token}
+        onReportSlash={(slash) => dispatch({ type: 'reportSlash', slash })}
+        onCancelSlash={(slashId) => dispatch({ type: 'cancelSlash', slashId })}
+      />
+
       {/* UnlockChunks */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
-        <h2 className="text-xl font-semibold mb-4">Your UnlockChunks</h2>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">UnlockChunks</h2>
+          <button
+            onClick={() => dispatch({ type: 'withdrawAll', stakerId: selectedStakerId })}
+            disabled={eligibleChunkCount === 0}
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400"
+          >
+            Withdraw All Eligible for {selectedStaker?.name} ({eligibleChunkCount})
+          </button>
+        </div>
         {unlockChunks.length === 0 ? (
           <p className="text-gray-500">No unbonding requests yet</p>
         ) : (
           <div className="h-64 overflow-y-auto space-y-3 pr-2">
-            {unlockChunks
+            {[...unlockChunks]
               .sort((a, b) => b.id - a.id) // Newest first
               .map(chunk => {
-              const withdrawCheck = canWithdraw(chunk);
-              const estimatedWait = estimateUnbondingTime(chunk);
+              const withdrawCheck = canWithdraw(engine, chunk);
+              const estimatedWait = estimateUnbondingTime(engine, chunk);
               
               return (
                 <div key={chunk.id} className={`p-4 border rounded-lg ${
@@ -548,7 +664,8 @@ const EraBasedUnbondingSimulator = () => {
                   <div className="flex justify-between items-start">
                     <div>
                       <div className="flex items-center gap-3">
-                        <span className="font-medium">{formatAmount(chunk.unbonding_amount)} DOT</span>
+                        <span className="font-medium">{formatTokens(chunk.unbonding_amount)}</span>
+                        <span className="text-sm text-gray-500">{stakerName(chunk.stakerId)}</span>
                         <span className={`px-2 py-1 rounded text-xs ${
                           withdrawCheck.canWithdraw 
                             ? 'bg-green-100 text-green-800' 
@@ -561,8 +678,14 @@ const EraBasedUnbondingSimulator = () => {
                         Started in era {chunk.unbonding_start_era}
                       </div>
                       <div className="text-sm text-gray-600">
-                        Previous unbonded: {formatAmount(chunk.previous_unbonded_stake_in_era)} DOT
+                        Previous unbonded: {formatTokens(chunk.previous_unbonded_stake_in_era)}
                       </div>
+                      <WaitTrace
+                        trace={explainUnbondingTime(engine, chunk)}
+                        bondingDuration={networkParams.BONDING_DURATION}
+                        minUnbondingEras={networkParams.MIN_UNBONDING_ERAS}
+                        formatTokens={formatTokens}
+                      />
                     </div>
                     <div className="text-right">
                       <div className="text-sm text-gray-600">
@@ -570,14 +693,22 @@ const EraBasedUnbondingSimulator = () => {
                           <span className="text-green-600 font-medium">Can withdraw now</span>
                         ) : (
                           <>
-                            <div>Wait: {formatEras(estimatedWait)}</div>
+                            <div>Wait: {formatWait(estimatedWait)}</div>
                             <div className="text-xs text-gray-500">{withdrawCheck.reason}</div>
                           </>
                         )}
                       </div>
-                      {chunk.status === 'pending' && (
+                      {chunk.status === 'pending' && withdrawCheck.canWithdraw && (
+                        <button
+                          onClick={() => dispatch({ type: 'withdraw', chunkId: chunk.id })}
+                          className="mt-2 mr-2 px-3 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700"
+                        >
+                          Withdraw
+                        </button>
+                      )}
+                      {chunk.status === 'pending' && getStaker(engine, chunk.stakerId)?.poolId === undefined && (
                         <button
-                          onClick={() => rebondChunk(chunk.id, chunk.unbonding_amount)}
+                          onClick={() => dispatch({ type: 'rebond', chunkId: chunk.id, amount: chunk.unbonding_amount })}
                           className="mt-2 px-3 py-1 bg-red-500 text-white rounded text-xs hover:bg-red-600"
                         >
                           Full Rebond
@@ -592,6 +723,61 @@ const EraBasedUnbondingSimulator = () => {
         )}
       </div>
 
+      {/* Withdrawal Projection */}
+      <ProjectionPanel
+        engine={engine}
+        lowestThirdStake={lowestThirdRatio * totalStakedDOT}
+        formatTokens={formatTokens}
+        formatEraTime={formatEraTime}
+        stakerName={stakerName}
+      />
+
+      {/* Withdrawal History */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Withdrawal History</h2>
+          <div className="text-sm text-gray-600">
+            {selectedStaker?.name}&apos;s free balance: <span className="font-bold text-green-700">{formatTokens(selectedStaker?.free ?? 0)}</span>
+          </div>
+        </div>
+        {engine.withdrawnChunks.length === 0 ? (
+          <p className="text-gray-500">No chunks withdrawn yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left p-2">Chunk</th>
+                  <th className="text-left p-2">Staker</th>
+                  <th className="text-left p-2">Amount</th>
+                  <th className="text-left p-2">Requested Era</th>
+                  <th className="text-left p-2">Withdrawn Era</th>
+                  <th className="text-left p-2">Actual Wait</th>
+                  <th className="text-left p-2">Predicted Wait</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...engine.withdrawnChunks].reverse().map(chunk => (
+                  <tr key={chunk.id} className="border-b">
+                    <td className="p-2 font-medium">#{chunk.id}</td>
+                    <td className="p-2">{stakerName(chunk.stakerId)}</td>
+                    <td className="p-2">{formatTokens(chunk.unbonding_amount)}</td>
+                    <td className="p-2">{chunk.unbonding_start_era}</td>
+                    <td className="p-2">{chunk.withdrawn_era}</td>
+                    <td className="p-2">{formatEras(chunk.actual_wait)}</td>
+                    <td className="p-2">
+                      <span className={chunk.actual_wait > chunk.predicted_wait ? 'text-red-600' : 'text-green-600'}>
+                        {formatEras(chunk.predicted_wait)}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Era Data Visualization */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">Era Data Overview</h2>
@@ -600,10 +786,13 @@ const EraBasedUnbondingSimulator = () => {
             <thead>
               <tr className="border-b">
                 <th className="text-left p-2">Era</th>
+                <th className="text-left p-2">Started</th>
                 <th className="text-left p-2">Lowest Third Stake</th>
+                <th className="text-left p-2">Source</th>
                 <th className="text-left p-2">Max Unstake</th>
                 <th className="text-left p-2">Total Unbonding</th>
                 <th className="text-left p-2">Utilization</th>
+                <th className="text-left p-2">Fast Unstaked</th>
               </tr>
             </thead>
             <tbody>
@@ -611,7 +800,7 @@ const EraBasedUnbondingSimulator = () => {
                 .sort(([a], [b]) => parseInt(b) - parseInt(a))
                 .slice(0, 10)
                 .map(([era, data]) => {
-                  const maxUnstake = getMaxUnstakeForEra(parseInt(era));
+                  const maxUnstake = getMaxUnstakeForEra(engine, parseInt(era));
                   const utilization = (data.total_unbond_in_era / maxUnstake) * 100;
                   const isCurrent = parseInt(era) === currentEra;
                   
@@ -620,7 +809,11 @@ const EraBasedUnbondingSimulator = () => {
                       <td className="p-2 font-medium">
                         {era} {isCurrent && '(current)'}
                       </td>
+                      <td className="p-2 text-gray-600">{formatEraTime(parseInt(era))}</td>
                       <td className="p-2">{formatAmount(data.lowest_third_stake)}</td>
+                      <td className="p-2 text-gray-500">
+                        {engine.lowestThirdSnapshots[era] !== undefined ? 'Snapshot' : 'Ratio'}
+                      </td>
                       <td className="p-2">{formatAmount(maxUnstake)}</td>
                       <td className="p-2">{formatAmount(data.total_unbond_in_era)}</td>
                       <td className="p-2">
@@ -628,6 +821,7 @@ const EraBasedUnbondingSimulator = () => {
                           {utilization.toFixed(1)}%
                         </span>
                       </td>
+                      <td className="p-2 text-gray-600">{formatAmount(data.fast_unstake_in_era || 0)}</td>
                     </tr>
                   );
                 })}
@@ -636,57 +830,115 @@ const EraBasedUnbondingSimulator = () => {
         </div>
       </div>
 
+      {/* Monte Carlo Workload */}
+      <MonteCarloPanel
+        networkParams={networkParams}
+        lowestThirdStake={lowestThirdRatio * totalStakedDOT}
+        formatEras={formatEras}
+      />
+
+      {/* Adversarial Exit Simulator */}
+      <AdversaryPanel
+        key={networkParams.name}
+        engine={engine}
+        totalStaked={totalStakedDOT}
+        lowestThirdStake={lowestThirdRatio * totalStakedDOT}
+        formatTokens={formatTokens}
+      />
+
       {/* Empirical Data Analysis */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">Empirical Data Analysis</h2>
-        <div className="mb-4">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Upload Historical Unbonding Data (CSV)
-          </label>
-          <input
-            type="file"
-            accept=".csv"
-            onChange={handleFileUpload}
-            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-          />
-          <div className="mt-1 text-sm text-gray-500">
-            Expected format: columns for date, total_stake, unbonded_amount
+        <CsvImportPanel
+          tokenSymbol={token}
+          tokenDecimals={networkParams.TOKEN_DECIMALS}
+          erasPerDay={networkParams.ERAS_PER_DAY}
+          onImport={handleEmpiricalImport}
+        />
+
+        {analysis && (
+          <div className="mb-4 flex gap-4 items-center">
+            <div className="flex-1 bg-gray-200 rounded h-2">
+              <div
+                className="bg-blue-600 h-2 rounded"
+                style={{ width: `${analysis.total ? (analysis.done / analysis.total) * 100 : 0}%` }}
+              />
+            </div>
+            <span className="text-sm text-gray-600 whitespace-nowrap">
+              Analyzing {analysis.done.toLocaleString()} / {analysis.total.toLocaleString()} eras
+            </span>
+            <button
+              onClick={cancelAnalysis}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+            >
+              Cancel
+            </button>
           </div>
-        </div>
-        
+        )}
+
+        {analysisError && <div className="mb-4 text-sm text-red-600">{analysisError}</div>}
+
         {showEmpiricalAnalysis && empiricalData.length > 0 && (
           <>
-            {(() => {
-              const validData = empiricalData.filter(d => d.hasFullHistory);
-              return (
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-                  <div className="bg-blue-50 p-4 rounded">
-                    <div className="text-sm text-blue-600">Valid Events</div>
-                    <div className="text-xl font-bold text-blue-900">{validData.length}</div>
-                    <div className="text-xs text-blue-500">({empiricalData.length - validData.length} skipped)</div>
-                  </div>
-                  <div className="bg-green-50 p-4 rounded">
-                    <div className="text-sm text-green-600">Avg Duration</div>
-                    <div className="text-xl font-bold text-green-900">
-                      {validData.length > 0 ? (validData.reduce((sum, d) => sum + d.estimatedDuration, 0) / validData.length).toFixed(1) : 'N/A'} eras
-                    </div>
-                  </div>
-                  <div className="bg-purple-50 p-4 rounded">
-                    <div className="text-sm text-purple-600">Max Unbond</div>
-                    <div className="text-xl font-bold text-purple-900">
-                      {validData.length > 0 ? formatAmount(Math.max(...validData.map(d => d.unbonded_amount))) : 'N/A'} DOT
-                    </div>
-                  </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div className="bg-blue-50 p-4 rounded">
+                <div className="text-sm text-blue-600">Valid Events</div>
+                <div className="text-xl font-bold text-blue-900">{empiricalSummary.validEvents}</div>
+                <div className="text-xs text-blue-500">({empiricalSummary.skippedEvents} skipped)</div>
+              </div>
+              <div className="bg-green-50 p-4 rounded">
+                <div className="text-sm text-green-600">Avg Duration</div>
+                <div className="text-xl font-bold text-green-900">
+                  {empiricalSummary.avgDuration !== null ? empiricalSummary.avgDuration.toFixed(1) : 'N/A'} eras
                 </div>
-              );
-            })()}
+              </div>
+              <div className="bg-purple-50 p-4 rounded">
+                <div className="text-sm text-purple-600">Max Unbond</div>
+                <div className="text-xl font-bold text-purple-900">
+                  {empiricalSummary.maxUnbond !== null ? formatTokens(empiricalSummary.maxUnbond) : 'N/A'}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-2 mb-6">
+              <button
+                onClick={() => downloadFile('unbonding-analysis.csv', formatEmpiricalCsv(empiricalData), 'text/csv')}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Export Table (CSV)
+              </button>
+              <button
+                onClick={() => downloadFile(
+                  'unbonding-analysis.json',
+                  formatEmpiricalJson(empiricalData, empiricalParams),
+                  'application/json'
+                )}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Export Table (JSON)
+              </button>
+              <button
+                onClick={copySummaryMarkdown}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                Copy Summary (Markdown)
+              </button>
+            </div>
 
             {/* Combined Duration and Amount Chart */}
             <div className="mb-6">
-              <h3 className="text-lg font-semibold mb-3">Unbond Duration vs Amount Over Time</h3>
-              <div className="h-80">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-semibold">Unbond Duration vs Amount Over Time</h3>
+                <ChartExportButtons chartRef={durationChartRef} filename="unbond-duration-vs-amount" />
+              </div>
+              {chartData.length < empiricalData.filter(d => d.hasFullHistory).length && (
+                <div className="text-sm text-gray-500 mb-2">
+                  Charts show {chartData.length.toLocaleString()} evenly sampled eras; summary figures use all of them
+                </div>
+              )}
+              <div className="h-80" ref={durationChartRef}>
                 <ResponsiveContainer width="100%" height="100%">
-                  <ComposedChart data={empiricalData.filter(d => d.hasFullHistory)}>
+                  <ComposedChart data={chartData}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis 
                       dataKey="date" 
@@ -696,12 +948,12 @@ const EraBasedUnbondingSimulator = () => {
                     <YAxis 
                       yAxisId="duration"
                       label={{ value: 'Duration (eras)', angle: -90, position: 'insideLeft' }}
-                      domain={[0, 28]}
+                      domain={[0, networkParams.BONDING_DURATION]}
                     />
                     <YAxis 
                       yAxisId="amount"
                       orientation="right"
-                      label={{ value: 'Unbond Amount (DOT)', angle: 90, position: 'insideRight' }}
+                      label={{ value: `Unbond Amount (${token})`, angle: 90, position: 'insideRight' }}
                       tickFormatter={(value) => formatAmount(value)}
                     />
                     <Tooltip 
@@ -733,10 +985,13 @@ const EraBasedUnbondingSimulator = () => {
 
             {/* Utilization Chart */}
             <div>
-              <h3 className="text-lg font-semibold mb-3">Queue Utilization Over Time</h3>
-              <div className="h-64">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-semibold">Queue Utilization Over Time</h3>
+                <ChartExportButtons chartRef={utilizationChartRef} filename="queue-utilization" />
+              </div>
+              <div className="h-64" ref={utilizationChartRef}>
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={empiricalData.filter(d => d.hasFullHistory)}>
+                  <LineChart data={chartData}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis 
                       dataKey="date" 
@@ -759,6 +1014,8 @@ const EraBasedUnbondingSimulator = () => {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            <SweepPanel rows={empiricalData} />
           </>
         )}
       </div>
@@ -767,12 +1024,16 @@ const EraBasedUnbondingSimulator = () => {
       <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
         <h2 className="text-xl font-semibold text-yellow-900 mb-4">Updated RFC-0097 Implementation</h2>
         <ul className="space-y-2 text-yellow-800 text-sm">
-          <li>• <strong>Era-based Storage:</strong> Tracks lowest_third_stake and total_unbond_in_era for last 28 eras</li>
+          <li>• <strong>Era-based Storage:</strong> Tracks lowest_third_stake and total_unbond_in_era for the last BONDING_DURATION eras ({networkParams.BONDING_DURATION} on {networkParams.name})</li>
           <li>• <strong>UnlockChunk Format:</strong> (amount, start_era, previous_unbonded_stake)</li>
+          <li>• <strong>Staking Ledgers:</strong> Each staker holds up to MaxUnlockingChunks chunks; unbonds in the same era merge into one chunk</li>
           <li>• <strong>Withdrawal Check:</strong> Complex iteration through eras to verify thresholds</li>
-          <li>• <strong>Rebonding:</strong> Updates total_unbond_in_era and removes/reduces chunks</li>
+          <li>• <strong>Rebonding:</strong> Updates total_unbond_in_era and removes/reduces chunks, newest chunks first for ledger-level rebonds</li>
+          <li>• <strong>Withdrawal:</strong> withdraw_unbonded removes eligible chunks and credits the free balance</li>
           <li>• <strong>Time Estimation:</strong> Based on era iteration algorithm from updated spec</li>
-          <li>• <strong>Security:</strong> Never allows more than (1-MIN_SLASHABLE_SHARE) to unbond in 28 eras</li>
+          <li>• <strong>Validator Snapshots:</strong> lowest_third_stake can be derived per era from the lowest third of validator backings</li>
+          <li>• <strong>Deferred Slashing:</strong> Pending slashes block the affected stakers&apos; withdrawals; applied slashes cut active stake and chunks unbonded at or after the offence era</li>
+          <li>• <strong>Security:</strong> Never allows more than (1-MIN_SLASHABLE_SHARE) to unbond in {networkParams.BONDING_DURATION} eras</li>
         </ul>
         
         <div className="mt-4 p-3 bg-yellow-100 rounded border-l-4 border-yellow-400">
@@ -0,0 +1,36 @@
+// Empirical analysis in a Web Worker. Each runner returns a promise for the result
+// (null if cancelled) and a cancel function that stops the worker immediately.
+const runInWorker = (message, onProgress) => {
+  const worker = new Worker(new URL('./workers/empiricalWorker.js', import.meta.url), { type: 'module' });
+  let resolveResult;
+
+  const result = new Promise((resolve, reject) => {
+    resolveResult = resolve;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data.done, data.total);
+        return;
+      }
+      worker.terminate();
+      resolve(data.result);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Analysis worker failed'));
+    };
+  });
+  worker.postMessage(message);
+
+  const cancel = () => {
+    worker.terminate();
+    resolveResult(null);
+  };
+
+  return { result, cancel };
+};
+
+export const analyzeInWorker = (rows, params, onProgress) =>
+  runInWorker({ task: 'analyze', rows, params }, onProgress);
+
+export const sweepInWorker = (rows, grid, onProgress) =>
+  runInWorker({ task: 'sweep', rows, grid }, onProgress);
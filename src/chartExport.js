@@ -0,0 +1,56 @@
+import { downloadFile } from './download.js';
+
+// Export a rendered Recharts chart (the first <svg> inside `container`) as SVG or PNG
+
+const serializeChart = (container) => {
+  const svg = container?.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('Chart has not been rendered');
+
+  const clone = svg.cloneNode(true);
+  const { width, height } = svg.getBoundingClientRect();
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  // Recharts styles text through the page; a white background keeps the file readable on dark forums
+  clone.setAttribute('style', 'background: #ffffff; font-family: sans-serif; font-size: 12px');
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+export const exportChartSvg = (container, filename) => {
+  const { markup } = serializeChart(container);
+  downloadFile(`${filename}.svg`, markup, 'image/svg+xml');
+};
+
+// Rasterize at 2x so the PNG stays sharp when pasted into posts
+export const exportChartPng = (container, filename, scale = 2) => {
+  const { markup, width, height } = serializeChart(container);
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+  return new Promise((resolve, reject) => {
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        downloadFile(`${filename}.png`, blob, 'image/png');
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render chart to PNG'));
+    };
+    image.src = url;
+  });
+};
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { ATTACK_STRATEGIES, compareAttackStrategies } from '../engine/index.js';
+import NumberField from './NumberField.jsx';
+
+const STRATEGY_COLORS = {
+  bigUnbond: '#2563eb',
+  spread: '#dc2626',
+  windowSlide: '#16a34a',
+  rebondChurn: '#9333ea',
+};
+
+// Attacker mode: each exit strategy run from the current state against the same engine as canWithdraw
+const AdversaryPanel = ({ engine, totalStaked, lowestThirdStake, formatTokens }) => {
+  const { BONDING_DURATION } = engine.networkParams;
+  const [sharePercent, setSharePercent] = useState(25);
+  const [eras, setEras] = useState(BONDING_DURATION - 1);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runAttack = () => {
+    try {
+      setResults(compareAttackStrategies(engine, {
+        attackerStake: (sharePercent / 100) * totalStaked,
+        eras: Math.max(1, Math.round(eras)),
+        lowestThirdStake,
+      }));
+      setError(null);
+    } catch (attackError) {
+      setResults(null);
+      setError(attackError.message);
+    }
+  };
+
+  const chartData = results?.[0].timeline.map((point, index) => ({
+    era: point.era,
+    ...Object.fromEntries(results.map(result => [result.strategy, result.timeline[index].withdrawn])),
+  }));
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Adversarial Exit Simulator</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        An attacker ledger is added to a copy of the current state and follows each strategy, withdrawing
+        whatever canWithdraw allows every era. In every era, the stake it unbonded from each lookback era L
+        of the window on and already withdrew is compared with (1 − MIN_SLASHABLE_SHARE) × lowest-third stake
+        at L.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <NumberField
+          label="Attacker Share of Total Stake (%)"
+          value={sharePercent}
+          onChange={(value) => setSharePercent(Math.min(100, value))}
+          step={5}
+        />
+        <NumberField label="Horizon k (eras)" value={eras} onChange={setEras} min={1} />
+        <div className="flex items-end">
+          <button
+            onClick={runAttack}
+            className="px-6 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+          >
+            Run Attack
+          </button>
+        </div>
+      </div>
+      <div className="text-sm text-gray-500 mb-4">
+        Attacker stake: {formatTokens((sharePercent / 100) * totalStaked)}. Chunks that waited the full{' '}
+        {BONDING_DURATION}-era window have left it and no longer count against any bound.
+      </div>
+      {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+
+      {results && (
+        <>
+          <table className="w-full text-sm mb-6">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2">Strategy</th>
+                <th className="text-left p-2">Withdrawn within {results[0].eras} eras</th>
+                <th className="text-left p-2">Worst Window Bound</th>
+                <th className="text-left p-2">vs Bound</th>
+                <th className="text-left p-2">Bound Exceeded</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.strategy} className="border-b">
+                  <td className="p-2">
+                    <div className="font-medium">{ATTACK_STRATEGIES[result.strategy].label}</div>
+                    <div className="text-xs text-gray-500">{ATTACK_STRATEGIES[result.strategy].description}</div>
+                  </td>
+                  <td className="p-2">{formatTokens(result.withdrawn)}</td>
+                  <td className="p-2">
+                    {formatTokens(result.worstWindow.bound)}
+                    <div className="text-xs text-gray-500">
+                      lookback era {result.worstWindow.lookbackEra} at era {result.worstWindow.era}
+                    </div>
+                  </td>
+                  <td className="p-2">
+                    {result.boundRatio === null ? 'N/A' : `${(result.boundRatio * 100).toFixed(1)}%`}
+                  </td>
+                  <td className={`p-2 font-medium ${result.exceedsBound ? 'text-red-700' : 'text-green-700'}`}>
+                    {result.exceedsBound ? `Yes, at era ${result.firstExceededEra}` : 'No'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="text-lg font-semibold mb-3">Cumulative Withdrawn Stake</h3>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="era" label={{ value: 'Era', position: 'insideBottom', offset: -5 }} />
+                <YAxis tickFormatter={(value) => formatTokens(value)} width={110} />
+                <Tooltip
+                  labelFormatter={(era) => `Era ${era}`}
+                  formatter={(value, strategy) => [formatTokens(value), ATTACK_STRATEGIES[strategy].label]}
+                />
+                <Legend formatter={(strategy) => ATTACK_STRATEGIES[strategy].label} />
+                <ReferenceLine y={results[0].bound} stroke="#111827" strokeDasharray="4 4" label="Starting-era bound" />
+                {results.map(result => (
+                  <Line
+                    key={result.strategy}
+                    type="stepAfter"
+                    dataKey={result.strategy}
+                    stroke={STRATEGY_COLORS[result.strategy]}
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+AdversaryPanel.propTypes = {
+  engine: PropTypes.shape({
+    networkParams: PropTypes.shape({
+      BONDING_DURATION: PropTypes.number.isRequired,
+    }).isRequired,
+  }).isRequired,
+  totalStaked: PropTypes.number.isRequired,
+  lowestThirdStake: PropTypes.number.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+};
+
+export default AdversaryPanel;
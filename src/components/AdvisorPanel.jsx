@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { adviseUnbonding, averageEraUnbonding } from '../engine/index.js';
+import NumberField, { inputClass } from './NumberField.jsx';
+
+const formatWait = (wait, formatEras) => (wait === null ? 'Beyond horizon' : formatEras(Number(wait.toFixed(1))));
+
+// Compares unbonding an amount now, split across the next eras, or after waiting for the window to clear
+const AdvisorPanel = ({ engine, initialAmount, lowestThirdStake, tokenSymbol, formatTokens, formatEras }) => {
+  const [amount, setAmount] = useState(initialAmount);
+  const [splitEras, setSplitEras] = useState(4);
+  const [objective, setObjective] = useState('mean');
+  const [mode, setMode] = useState('none');
+  const [advice, setAdvice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const compare = () => {
+    try {
+      setAdvice(adviseUnbonding(engine, {
+        amount,
+        splitEras: Math.round(splitEras),
+        objective,
+        mode,
+        lowestThirdStake,
+      }));
+      setError(null);
+    } catch (adviceError) {
+      setAdvice(null);
+      setError(adviceError.message);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Splitting &amp; Timing Advisor</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <NumberField label={`Amount (${tokenSymbol})`} value={amount} onChange={setAmount} step={1_000_000} />
+        <NumberField label="Split Across Eras" value={splitEras} onChange={setSplitEras} min={2} />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Minimize</label>
+          <select value={objective} onChange={(e) => setObjective(e.target.value)} className={inputClass}>
+            <option value="mean">Mean wait</option>
+            <option value="max">Maximum wait</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Other Stakers&apos; Unbonding</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+            <option value="none">None</option>
+            <option value="average">Window average ({formatTokens(averageEraUnbonding(engine))} per era)</option>
+          </select>
+        </div>
+      </div>
+      <button
+        onClick={compare}
+        className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+      >
+        Compare Plans
+      </button>
+      {error && <div className="mt-4 text-sm text-red-600">{error}</div>}
+
+      {advice && (
+        <div className="mt-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2">Plan</th>
+                <th className="text-left p-2">Mean Wait</th>
+                <th className="text-left p-2">Max Wait</th>
+                <th className="text-left p-2">Estimated Mean / Max</th>
+                <th className="text-left p-2">Requests</th>
+              </tr>
+            </thead>
+            <tbody>
+              {advice.plans.map(plan => (
+                <tr key={plan.id} className={`border-b ${plan.id === advice.recommended ? 'bg-green-50' : ''}`}>
+                  <td className="p-2">
+                    <div className="font-medium">
+                      {plan.label}
+                      {plan.id === advice.recommended && <span className="ml-2 text-green-700">Recommended</span>}
+                    </div>
+                    {plan.id === 'wait' && advice.delay === 0 && (
+                      <div className="text-xs text-gray-500">No delay shortens the estimate, so this is the same as now</div>
+                    )}
+                  </td>
+                  <td className="p-2">{formatWait(plan.meanWait, formatEras)}</td>
+                  <td className="p-2">{formatWait(plan.maxWait, formatEras)}</td>
+                  <td className="p-2 text-gray-600">
+                    {formatWait(plan.estimatedMeanWait, formatEras)} / {formatWait(plan.estimatedMaxWait, formatEras)}
+                  </td>
+                  <td className="p-2 text-xs text-gray-700">
+                    {plan.parts.map(part => (
+                      <div key={part.requestEra}>
+                        Era {part.requestEra}: {formatTokens(part.amount)} → withdrawable{' '}
+                        {part.withdrawableEra === null ? 'beyond horizon' : `at era ${part.withdrawableEra}`}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-sm text-gray-500">
+            Waits count from era {engine.currentEra}, including any delay before a request, and come from stepping
+            the engine forward until each request passes canWithdraw. Estimates add estimateNewUnbondingTime at the
+            request era; the mean is weighted by amount.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+AdvisorPanel.propTypes = {
+  engine: PropTypes.shape({
+    currentEra: PropTypes.number.isRequired,
+    eraData: PropTypes.object.isRequired,
+  }).isRequired,
+  initialAmount: PropTypes.number.isRequired,
+  lowestThirdStake: PropTypes.number.isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  formatEras: PropTypes.func.isRequired,
+};
+
+export default AdvisorPanel;
@@ -0,0 +1,34 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { exportChartSvg, exportChartPng } from '../chartExport.js';
+
+const buttonClass = 'px-3 py-1 bg-gray-100 text-gray-700 rounded text-xs hover:bg-gray-200';
+
+// SVG and PNG download buttons for the chart rendered inside `chartRef`
+const ChartExportButtons = ({ chartRef, filename }) => {
+  const [error, setError] = useState(null);
+
+  const run = async (exportChart) => {
+    try {
+      await exportChart(chartRef.current, filename);
+      setError(null);
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+  };
+
+  return (
+    <div className="flex gap-2 items-center">
+      <button onClick={() => run(exportChartSvg)} className={buttonClass}>SVG</button>
+      <button onClick={() => run(exportChartPng)} className={buttonClass}>PNG</button>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+ChartExportButtons.propTypes = {
+  chartRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  filename: PropTypes.string.isRequired,
+};
+
+export default ChartExportButtons;
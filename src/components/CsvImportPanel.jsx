@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  EMPIRICAL_COLUMNS,
+  parseCsvRecords,
+  guessColumnMapping,
+  importUnbondingRecords,
+} from '../engine/index.js';
+import { inputClass } from './NumberField.jsx';
+
+// Historical CSV upload with a column-mapping step, Planck units, gap handling and a validation report
+const CsvImportPanel = ({ tokenSymbol, tokenDecimals, erasPerDay, onImport }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [decimals, setDecimals] = useState(0);
+  const [gaps, setGaps] = useState('fill');
+  const [perEra, setPerEra] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    const parsed = parseCsvRecords(await selected.text());
+    setFile({ name: selected.name, ...parsed });
+    setMapping(guessColumnMapping(parsed.columns));
+    setReport(null);
+    setError(parsed.columns.length === 0 ? 'The file has no header row' : null);
+  };
+
+  const handleImport = () => {
+    try {
+      const result = importUnbondingRecords(file.records, {
+        mapping,
+        decimals,
+        gaps,
+        erasPerDay: perEra ? erasPerDay : 1,
+      });
+      setReport(result);
+      setError(null);
+      if (!result.fileError) onImport(result.rows);
+    } catch (importError) {
+      setReport(null);
+      setError(importError.message);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Upload Historical Unbonding Data (CSV)
+      </label>
+      <input
+        type="file"
+        accept=".csv"
+        onChange={handleFileChange}
+        className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+      />
+      <div className="mt-1 text-sm text-gray-500">
+        One row per day or per era with a date, total stake and unbonded amount; columns are mapped after upload
+      </div>
+
+      {file && file.columns.length > 0 && (
+        <div className="mt-4 p-4 bg-gray-50 rounded">
+          <div className="text-sm text-gray-600 mb-3">
+            {file.name}: {file.records.length} rows, columns {file.columns.join(', ')}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-4 mb-4">
+            {EMPIRICAL_COLUMNS.map(field => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{field}</label>
+                <select
+                  value={mapping[field] ?? ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value || null }))}
+                  className={inputClass}
+                >
+                  <option value="">Select column…</option>
+                  {file.columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Amount Units</label>
+              <select value={decimals} onChange={(e) => setDecimals(Number(e.target.value))} className={inputClass}>
+                <option value={0}>{tokenSymbol}</option>
+                {[...new Set([10, 12, tokenDecimals])].filter(d => d > 0).map(d => (
+                  <option key={d} value={d}>Planck (10^{d})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Rows</label>
+              <select value={perEra ? 'era' : 'day'} onChange={(e) => setPerEra(e.target.value === 'era')} className={inputClass}>
+                <option value="day">One per day</option>
+                <option value="era">One per era ({erasPerDay} a day)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Missing Rows</label>
+              <select value={gaps} onChange={(e) => setGaps(e.target.value)} className={inputClass}>
+                <option value="fill">Fill with zeros</option>
+                <option value="reject">Reject file</option>
+              </select>
+            </div>
+          </div>
+          <button
+            onClick={handleImport}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Import
+          </button>
+        </div>
+      )}
+
+      {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+
+      {report && (
+        <div className="mt-4 text-sm">
+          <div className={report.fileError ? 'text-red-600' : 'text-gray-700'}>
+            {report.fileError
+              ? `File rejected: ${report.fileError}`
+              : `Imported ${report.rows.length} ${report.unit}s from ${report.acceptedRecords} of ${report.totalRecords} rows` +
+                (report.filledDays > 0 ? `, ${report.filledDays} missing ${report.unit}s filled with zero unbonding` : '') +
+                (report.wasSorted ? '' : '; rows were sorted by date')}
+          </div>
+          {report.duplicateDays.length > 0 && (
+            <div className="text-yellow-700">
+              Duplicate {report.unit}s (later rows rejected): {report.duplicateDays.join(', ')}
+            </div>
+          )}
+          {report.missingDays.length > 0 && (
+            <div className="text-yellow-700">
+              Missing {report.unit}s: {report.missingDays.slice(0, 10).join(', ')}
+              {report.missingDays.length > 10 && ` and ${report.missingDays.length - 10} more`}
+            </div>
+          )}
+          {report.rejected.length > 0 && (
+            <div className="mt-2 max-h-48 overflow-y-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left p-2">Row</th>
+                    <th className="text-left p-2">Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rejected.map(({ row, reason }) => (
+                    <tr key={row} className="border-b">
+                      <td className="p-2">{row}</td>
+                      <td className="p-2 text-red-700">{reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CsvImportPanel.propTypes = {
+  tokenSymbol: PropTypes.string.isRequired,
+  tokenDecimals: PropTypes.number.isRequired,
+  erasPerDay: PropTypes.number.isRequired,
+  onImport: PropTypes.func.isRequired,
+};
+
+export default CsvImportPanel;
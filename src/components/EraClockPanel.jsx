@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getCurrentTime,
+  getEraStartTime,
+  getEraLength,
+  getEraSessions,
+  getSessionLength,
+  getSessionsPerEra,
+  parseEraStartTimes,
+} from '../engine/index.js';
+import { formatDateTime } from '../format.js';
+import NumberField from './NumberField.jsx';
+
+const HOUR_MS = 3_600_000;
+
+const formatHours = (ms) => {
+  const hours = ms / HOUR_MS;
+  return `${Number.isInteger(hours) ? hours : hours.toFixed(2)}h`;
+};
+
+// Era start times and lengths around the current era, per-era length overrides and imported start times
+const EraClockPanel = ({ engine, onAdvanceSessions, onSetEraLength, onLoadEraTimes }) => {
+  const { networkParams, currentEra, eraClock } = engine;
+  const [era, setEra] = useState(currentEra + 1);
+  const [sessions, setSessions] = useState(getSessionsPerEra(networkParams) + 1);
+  const [loadError, setLoadError] = useState(null);
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      onLoadEraTimes(parseEraStartTimes(await file.text()));
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(`Could not load era times: ${error.message}`);
+    }
+  };
+
+  const sessionLength = getSessionLength(networkParams);
+  const eras = Array.from({ length: networkParams.BONDING_DURATION + 1 }, (_, i) => currentEra - 1 + i);
+  const canSetLength = Number.isInteger(era) && era >= currentEra && sessions >= 1 &&
+    (era > currentEra || sessions > eraClock.currentSession);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Era Clock</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Now: {formatDateTime(getCurrentTime(engine))}, era {currentEra} session {eraClock.currentSession + 1} of{' '}
+        {getEraSessions(engine, currentEra)}. Sessions last {formatHours(sessionLength)}; eras default to{' '}
+        {getSessionsPerEra(networkParams)} sessions. Estimates end at the start of the era they reach.
+      </p>
+
+      <div className="flex gap-2 mb-6">
+        <button
+          onClick={() => onAdvanceSessions(1)}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
+        >
+          +1 Session
+        </button>
+        <button
+          onClick={() => onAdvanceSessions(3)}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
+        >
+          +3 Sessions
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="flex gap-2 items-end">
+          <div className="flex-1">
+            <NumberField label="Era" value={era} onChange={(value) => setEra(Math.round(value))} min={currentEra} />
+          </div>
+          <div className="flex-1">
+            <NumberField label="Length (sessions)" value={sessions} onChange={(value) => setSessions(Math.round(value))} min={1} />
+          </div>
+          <button
+            onClick={() => onSetEraLength(era, sessions)}
+            disabled={!canSetLength}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Set Length
+          </button>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Era Start Times (JSON or CSV)
+          </label>
+          <input
+            type="file"
+            accept=".json,.csv"
+            onChange={handleUpload}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+          <div className="mt-1 text-sm text-gray-500">
+            e.g. {'{"1520": "2024-06-01T14:00:00Z", ...}'} or CSV columns era,start
+          </div>
+          {loadError && <div className="mt-1 text-sm text-red-600">{loadError}</div>}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left p-2">Era</th>
+              <th className="text-left p-2">Starts</th>
+              <th className="text-left p-2">Length</th>
+              <th className="text-left p-2">Sessions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {eras.map(e => {
+              const custom = eraClock.eraLengths[e] !== undefined;
+              return (
+                <tr key={e} className={`border-b ${e === currentEra ? 'bg-blue-50' : ''}`}>
+                  <td className="p-2 font-medium">{e} {e === currentEra && '(current)'}</td>
+                  <td className="p-2">{formatDateTime(getEraStartTime(engine, e))}</td>
+                  <td className={`p-2 ${custom ? 'text-orange-700' : ''}`}>
+                    {formatHours(getEraLength(engine, e))} {custom && '(custom)'}
+                  </td>
+                  <td className="p-2">{getEraSessions(engine, e)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+EraClockPanel.propTypes = {
+  engine: PropTypes.shape({
+    currentEra: PropTypes.number.isRequired,
+    networkParams: PropTypes.shape({
+      BONDING_DURATION: PropTypes.number.isRequired,
+      ERAS_PER_DAY: PropTypes.number.isRequired,
+    }).isRequired,
+    eraClock: PropTypes.shape({
+      anchorEra: PropTypes.number.isRequired,
+      anchorTime: PropTypes.number.isRequired,
+      eraLengths: PropTypes.object.isRequired,
+      currentSession: PropTypes.number.isRequired,
+    }).isRequired,
+  }).isRequired,
+  onAdvanceSessions: PropTypes.func.isRequired,
+  onSetEraLength: PropTypes.func.isRequired,
+  onLoadEraTimes: PropTypes.func.isRequired,
+};
+
+export default EraClockPanel;
@@ -0,0 +1,91 @@
+import PropTypes from 'prop-types';
+import { describeEvent } from '../engine/index.js';
+
+// Undo/redo and a timeline scrubber over the recorded event log
+const EventLogPanel = ({ events, cursor, timeline, onSeek, onUndo, onRedo }) => {
+  const isTimeTravelling = cursor < events.length;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Event Log</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={onUndo}
+            disabled={cursor === 0}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400"
+          >
+            Undo
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!isTimeTravelling}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400"
+          >
+            Redo
+          </button>
+        </div>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-gray-500">No actions recorded yet</p>
+      ) : (
+        <>
+          <input
+            type="range"
+            min="0"
+            max={events.length}
+            value={cursor}
+            onChange={(e) => onSeek(parseInt(e.target.value))}
+            className="w-full"
+          />
+          <div className="flex justify-between text-sm text-gray-600 mb-3">
+            <span>Era {timeline[0]}</span>
+            <span className="font-medium">
+              Viewing era {timeline[cursor]} after {cursor} of {events.length} events
+            </span>
+            <span>Era {timeline[events.length]}</span>
+          </div>
+          {isTimeTravelling && (
+            <div className="mb-3 p-3 bg-yellow-50 rounded text-sm text-yellow-800 flex justify-between items-center">
+              <span>Showing a past state. A new action here discards the {events.length - cursor} later events.</span>
+              <button
+                onClick={() => onSeek(events.length)}
+                className="px-3 py-1 bg-yellow-600 text-white rounded text-xs hover:bg-yellow-700"
+              >
+                Return to Latest
+              </button>
+            </div>
+          )}
+          <ol className="max-h-48 overflow-y-auto text-sm space-y-1">
+            {events.map((event, index) => (
+              <li
+                key={index}
+                onClick={() => onSeek(index + 1)}
+                className={`px-2 py-1 rounded cursor-pointer ${
+                  index < cursor ? 'hover:bg-gray-50' : 'text-gray-400 hover:bg-gray-50'
+                } ${index === cursor - 1 ? 'bg-blue-50 font-medium' : ''}`}
+              >
+                <span className="text-gray-500 mr-2">#{index + 1} · era {timeline[index]}</span>
+                {describeEvent(event)}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+EventLogPanel.propTypes = {
+  events: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.string.isRequired,
+  })).isRequired,
+  cursor: PropTypes.number.isRequired,
+  timeline: PropTypes.arrayOf(PropTypes.number).isRequired,
+  onSeek: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onRedo: PropTypes.func.isRequired,
+};
+
+export default EventLogPanel;
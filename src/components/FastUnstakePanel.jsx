@@ -0,0 +1,111 @@
+import PropTypes from 'prop-types';
+import {
+  canFastUnstake,
+  getExposedEras,
+  getFastUnstakeLookback,
+  summarizeExitFlow,
+} from '../engine/index.js';
+
+// Exposure per staker, fast-unstake eligibility, and the exit flow split between queue and fast unstake
+const FastUnstakePanel = ({ engine, formatTokens, onSetExposure, onFastUnstake }) => {
+  const { fromEra, toEra } = getFastUnstakeLookback(engine);
+  const flow = summarizeExitFlow(engine);
+  const stakers = engine.stakers.filter(staker => staker.poolId === undefined);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Fast Unstake</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        A staker not exposed in eras {fromEra}..{toEra} can unbond and withdraw its whole active stake at once.
+        Fast unstakes skip the era queue and do not use the per-era capacity.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <div className="text-sm text-blue-600 font-medium">Queue-Based Exits</div>
+          <div className="text-xl font-bold text-blue-900">{formatTokens(flow.queued)}</div>
+        </div>
+        <div className="bg-green-50 p-4 rounded-lg">
+          <div className="text-sm text-green-600 font-medium">Fast Unstaked</div>
+          <div className="text-xl font-bold text-green-900">{formatTokens(flow.fastUnstaked)}</div>
+        </div>
+        <div className="bg-purple-50 p-4 rounded-lg">
+          <div className="text-sm text-purple-600 font-medium">Fast Unstakes</div>
+          <div className="text-xl font-bold text-purple-900">{flow.fastUnstakeCount}</div>
+        </div>
+        <div className="bg-orange-50 p-4 rounded-lg">
+          <div className="text-sm text-orange-600 font-medium">Exits Through the Queue</div>
+          <div className="text-xl font-bold text-orange-900">
+            {flow.queueShare === null ? 'N/A' : `${(flow.queueShare * 100).toFixed(1)}%`}
+          </div>
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left p-2">Staker</th>
+            <th className="text-left p-2">Active</th>
+            <th className="text-left p-2">Exposed Now</th>
+            <th className="text-left p-2">Exposed Eras in Lookback</th>
+            <th className="text-left p-2">Status</th>
+            <th className="text-left p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {stakers.map(staker => {
+            const check = canFastUnstake(engine, staker.id);
+            const exposedEras = getExposedEras(staker).filter(era => era >= fromEra);
+            return (
+              <tr key={staker.id} className="border-b">
+                <td className="p-2 font-medium">{staker.name}</td>
+                <td className="p-2">{formatTokens(staker.active)}</td>
+                <td className="p-2">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(staker.exposed)}
+                    onChange={(e) => onSetExposure(staker.id, e.target.checked)}
+                  />
+                </td>
+                <td className="p-2 text-gray-600">
+                  {exposedEras.length === 0
+                    ? 'None'
+                    : `${exposedEras.length} (latest ${Math.max(...exposedEras)})`}
+                </td>
+                <td className={`p-2 ${check.canFastUnstake ? 'text-green-700' : 'text-gray-600'}`}>{check.reason}</td>
+                <td className="p-2">
+                  <button
+                    onClick={() => onFastUnstake(staker.id)}
+                    disabled={!check.canFastUnstake}
+                    className="px-3 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700 disabled:bg-gray-400"
+                  >
+                    Fast Unstake
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+FastUnstakePanel.propTypes = {
+  engine: PropTypes.shape({
+    currentEra: PropTypes.number.isRequired,
+    stakers: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      active: PropTypes.number.isRequired,
+      exposed: PropTypes.bool,
+      exposedEras: PropTypes.arrayOf(PropTypes.number),
+      poolId: PropTypes.number,
+    })).isRequired,
+  }).isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  onSetExposure: PropTypes.func.isRequired,
+  onFastUnstake: PropTypes.func.isRequired,
+};
+
+export default FastUnstakePanel;
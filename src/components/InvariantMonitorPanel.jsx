@@ -0,0 +1,87 @@
+import PropTypes from 'prop-types';
+import { describeEvent } from '../engine/index.js';
+
+// Results of the security-invariant monitor run over the event log
+const InvariantMonitorPanel = ({ monitor, events, minSlashableShare, formatTokens, onSeek }) => {
+  const { violations, transitions } = monitor;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Security Invariant Monitor</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        After every transition, the stake unbonded since each era L of the window that has become withdrawable
+        must stay within {((1 - minSlashableShare) * 100).toFixed(0)}% of era L&apos;s lowest-third stake.
+      </p>
+
+      {violations.length === 0 ? (
+        <div className="p-3 bg-green-50 rounded text-sm text-green-800">
+          No violations across {transitions} checked states
+        </div>
+      ) : (
+        <>
+          <div className="p-3 mb-3 bg-red-50 rounded text-sm text-red-800">
+            {violations.length} violation{violations.length === 1 ? '' : 's'} across {transitions} checked states
+          </div>
+          <div className="max-h-96 overflow-y-auto space-y-3">
+            {violations.map(violation => (
+              <div key={violation.key} className="p-3 border border-red-200 rounded text-sm">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="font-medium text-red-800">
+                      Era {violation.era}: {formatTokens(violation.exitedStake)} withdrawable since era {violation.lookbackEra},
+                      threshold {formatTokens(violation.threshold)}
+                    </div>
+                    <div className="text-gray-600">Chunks {violation.chunkIds.map(id => `#${id}`).join(', ')}</div>
+                  </div>
+                  {violation.eventIndex !== null && (
+                    <button
+                      onClick={() => onSeek(violation.eventIndex + 1)}
+                      className="px-3 py-1 bg-gray-600 text-white rounded text-xs hover:bg-gray-700 whitespace-nowrap"
+                    >
+                      Go to Action
+                    </button>
+                  )}
+                </div>
+                {violation.eventIndexes.length > 0 ? (
+                  <ol className="mt-2 text-xs text-gray-700 space-y-0.5">
+                    {violation.eventIndexes.map(index => (
+                      <li key={index} className={index === violation.eventIndex ? 'font-medium text-red-700' : ''}>
+                        #{index + 1} {describeEvent(events[index])}
+                      </li>
+                    ))}
+                  </ol>
+                ) : (
+                  <div className="mt-2 text-xs text-gray-500">Present in the loaded starting state</div>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+InvariantMonitorPanel.propTypes = {
+  monitor: PropTypes.shape({
+    violations: PropTypes.arrayOf(PropTypes.shape({
+      era: PropTypes.number.isRequired,
+      lookbackEra: PropTypes.number.isRequired,
+      key: PropTypes.string.isRequired,
+      exitedStake: PropTypes.number.isRequired,
+      threshold: PropTypes.number.isRequired,
+      chunkIds: PropTypes.arrayOf(PropTypes.number).isRequired,
+      eventIndex: PropTypes.number,
+      eventIndexes: PropTypes.arrayOf(PropTypes.number).isRequired,
+    })).isRequired,
+    transitions: PropTypes.number.isRequired,
+  }).isRequired,
+  events: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.string.isRequired,
+  })).isRequired,
+  minSlashableShare: PropTypes.number.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  onSeek: PropTypes.func.isRequired,
+};
+
+export default InvariantMonitorPanel;
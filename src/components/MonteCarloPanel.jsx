@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { DEFAULT_WORKLOAD_CONFIG, runMonteCarlo } from '../engine/index.js';
+import NumberField, { inputClass } from './NumberField.jsx';
+
+// Stochastic workload mode: N trials of random traffic over M eras against the era engine
+const MonteCarloPanel = ({ networkParams, lowestThirdStake, formatEras }) => {
+  const [trials, setTrials] = useState(DEFAULT_WORKLOAD_CONFIG.trials);
+  const [eras, setEras] = useState(DEFAULT_WORKLOAD_CONFIG.eras);
+  const [seed, setSeed] = useState(DEFAULT_WORKLOAD_CONFIG.seed);
+  const [arrival, setArrival] = useState(DEFAULT_WORKLOAD_CONFIG.arrival);
+  const [amount, setAmount] = useState(DEFAULT_WORKLOAD_CONFIG.amount);
+  const [rebondProbability, setRebondProbability] = useState(DEFAULT_WORKLOAD_CONFIG.rebondProbability);
+  const [result, setResult] = useState(null);
+
+  const runSimulation = () => {
+    setResult(runMonteCarlo({
+      networkParams,
+      lowestThirdStake,
+      trials: Math.max(1, Math.round(trials)),
+      eras: Math.max(1, Math.round(eras)),
+      seed: Math.round(seed),
+      arrival,
+      amount,
+      rebondProbability,
+    }));
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Monte Carlo Workload</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <NumberField label="Trials" value={trials} onChange={setTrials} min={1} />
+        <NumberField label="Eras per Trial" value={eras} onChange={setEras} min={1} step={10} />
+        <NumberField label="Seed" value={seed} onChange={setSeed} />
+        <NumberField
+          label="Rebond Probability"
+          value={rebondProbability}
+          onChange={(value) => setRebondProbability(Math.min(1, value))}
+          step={0.01}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Arrival Process</label>
+          <select
+            value={arrival.process}
+            onChange={(e) => setArrival(prev => ({ ...prev, process: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="poisson">Poisson</option>
+            <option value="bursty">Bursty</option>
+          </select>
+        </div>
+        <NumberField
+          label="Requests per Era"
+          value={arrival.rate}
+          onChange={(rate) => setArrival(prev => ({ ...prev, rate }))}
+          step={0.5}
+        />
+        {arrival.process === 'bursty' && (
+          <>
+            <NumberField
+              label="Burst Probability"
+              value={arrival.burstProbability}
+              onChange={(value) => setArrival(prev => ({ ...prev, burstProbability: Math.min(1, value) }))}
+              step={0.01}
+            />
+            <NumberField
+              label="Burst Multiplier"
+              value={arrival.burstMultiplier}
+              onChange={(burstMultiplier) => setArrival(prev => ({ ...prev, burstMultiplier }))}
+              min={1}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Amount Distribution</label>
+          <select
+            value={amount.distribution}
+            onChange={(e) => setAmount(prev => ({ ...prev, distribution: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="lognormal">Log-normal</option>
+            <option value="pareto">Pareto (heavy-tailed)</option>
+          </select>
+        </div>
+        {amount.distribution === 'lognormal' ? (
+          <>
+            <NumberField
+              label={`Median Amount (${networkParams.TOKEN_SYMBOL})`}
+              value={amount.median}
+              onChange={(median) => setAmount(prev => ({ ...prev, median }))}
+              step={100_000}
+            />
+            <NumberField
+              label="Sigma"
+              value={amount.sigma}
+              onChange={(sigma) => setAmount(prev => ({ ...prev, sigma }))}
+              step={0.1}
+            />
+          </>
+        ) : (
+          <>
+            <NumberField
+              label={`Minimum Amount (${networkParams.TOKEN_SYMBOL})`}
+              value={amount.scale}
+              onChange={(scale) => setAmount(prev => ({ ...prev, scale }))}
+              step={100_000}
+            />
+            <NumberField
+              label="Tail Index (alpha)"
+              value={amount.alpha}
+              onChange={(alpha) => setAmount(prev => ({ ...prev, alpha }))}
+              step={0.1}
+              min={0.1}
+            />
+          </>
+        )}
+        <NumberField
+          label={`Max Amount (${networkParams.TOKEN_SYMBOL})`}
+          value={amount.max}
+          onChange={(max) => setAmount(prev => ({ ...prev, max }))}
+          step={1_000_000}
+        />
+      </div>
+
+      <button
+        onClick={runSimulation}
+        className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+      >
+        Run Simulation
+      </button>
+
+      {result && (
+        <div className="mt-6">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+            <div className="bg-blue-50 p-4 rounded">
+              <div className="text-sm text-blue-600">p50 Wait</div>
+              <div className="text-xl font-bold text-blue-900">{result.waits.p50 ?? 'N/A'} eras</div>
+            </div>
+            <div className="bg-yellow-50 p-4 rounded">
+              <div className="text-sm text-yellow-600">p90 Wait</div>
+              <div className="text-xl font-bold text-yellow-900">{result.waits.p90 ?? 'N/A'} eras</div>
+            </div>
+            <div className="bg-red-50 p-4 rounded">
+              <div className="text-sm text-red-600">p99 Wait</div>
+              <div className="text-xl font-bold text-red-900">{result.waits.p99 ?? 'N/A'} eras</div>
+            </div>
+            <div className="bg-purple-50 p-4 rounded">
+              <div className="text-sm text-purple-600">Capped at {networkParams.BONDING_DURATION} Eras</div>
+              <div className="text-xl font-bold text-purple-900">
+                {result.waits.cappedShare !== null ? `${(result.waits.cappedShare * 100).toFixed(1)}%` : 'N/A'}
+              </div>
+            </div>
+            <div className="bg-green-50 p-4 rounded">
+              <div className="text-sm text-green-600">Mean Wait</div>
+              <div className="text-xl font-bold text-green-900">
+                {result.waits.mean !== null ? formatEras(Number(result.waits.mean.toFixed(1))) : 'N/A'}
+              </div>
+            </div>
+          </div>
+          <div className="text-sm text-gray-600 mb-4">
+            {result.requests} requests over {result.config.trials} trials: {result.completed} withdrawn,
+            {' '}{result.rebonded} rebonded, {result.unfinished} still unlocking at the end
+          </div>
+
+          <h3 className="text-lg font-semibold mb-3">Wait Distribution</h3>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={result.histogram}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="wait" label={{ value: 'Wait (eras)', position: 'insideBottom', offset: -5 }} />
+                <YAxis label={{ value: 'Requests', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  formatter={(value) => [value, 'Requests']}
+                  labelFormatter={(wait) => `Wait: ${wait} eras`}
+                />
+                <Bar dataKey="count" fill="#3B82F6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+MonteCarloPanel.propTypes = {
+  networkParams: PropTypes.shape({
+    BONDING_DURATION: PropTypes.number.isRequired,
+    TOKEN_SYMBOL: PropTypes.string.isRequired,
+  }).isRequired,
+  lowestThirdStake: PropTypes.number.isRequired,
+  formatEras: PropTypes.func.isRequired,
+};
+
+export default MonteCarloPanel;
@@ -0,0 +1,95 @@
+import PropTypes from 'prop-types';
+import { NETWORK_PRESETS, getPresetId, getSessionsPerEra } from '../engine/index.js';
+import NumberField, { inputClass } from './NumberField.jsx';
+
+// Preset buttons plus the parameters they set; editing any parameter switches to a custom network
+const NetworkSelector = ({ networkParams, onChange }) => {
+  const activePreset = getPresetId(networkParams);
+
+  const updateParam = (name, value) => {
+    const params = { ...networkParams, name: NETWORK_PRESETS.custom.params.name, [name]: value };
+    params.MIN_UNBONDING_ERAS = Math.min(params.MIN_UNBONDING_ERAS, params.BONDING_DURATION);
+    onChange(params);
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex gap-2 mb-4">
+        {Object.entries(NETWORK_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            onClick={() => onChange(
+              id === 'custom' ? { ...networkParams, name: preset.params.name } : preset.params,
+              id === 'custom' ? undefined : preset.totalStaked
+            )}
+            className={`px-4 py-2 rounded-md ${
+              activePreset === id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {preset.params.name}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+        <NumberField
+          label="Bonding Duration (eras)"
+          value={networkParams.BONDING_DURATION}
+          onChange={(value) => updateParam('BONDING_DURATION', Math.max(1, Math.round(value)))}
+          min={1}
+        />
+        <NumberField
+          label="Eras per Day"
+          value={networkParams.ERAS_PER_DAY}
+          onChange={(value) => updateParam('ERAS_PER_DAY', Math.max(1, Math.round(value)))}
+          min={1}
+        />
+        <NumberField
+          label="Sessions per Era"
+          value={getSessionsPerEra(networkParams)}
+          onChange={(value) => updateParam('SESSIONS_PER_ERA', Math.max(1, Math.round(value)))}
+          min={1}
+        />
+        <NumberField
+          label="Min Unbonding Eras"
+          value={networkParams.MIN_UNBONDING_ERAS}
+          onChange={(value) => updateParam('MIN_UNBONDING_ERAS', Math.max(1, Math.round(value)))}
+          min={1}
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Token Symbol</label>
+          <input
+            type="text"
+            value={networkParams.TOKEN_SYMBOL}
+            onChange={(e) => updateParam('TOKEN_SYMBOL', e.target.value.trim().toUpperCase())}
+            className={inputClass}
+          />
+        </div>
+        <NumberField
+          label="Token Decimals"
+          value={networkParams.TOKEN_DECIMALS}
+          onChange={(value) => updateParam('TOKEN_DECIMALS', Math.round(value))}
+        />
+      </div>
+      <div className="mt-1 text-sm text-gray-500">
+        {networkParams.BONDING_DURATION} era window, {24 / networkParams.ERAS_PER_DAY}h eras of{' '}
+        {getSessionsPerEra(networkParams)} sessions,
+        1 {networkParams.TOKEN_SYMBOL} = 10^{networkParams.TOKEN_DECIMALS} Planck
+      </div>
+    </div>
+  );
+};
+
+NetworkSelector.propTypes = {
+  networkParams: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    BONDING_DURATION: PropTypes.number.isRequired,
+    ERAS_PER_DAY: PropTypes.number.isRequired,
+    SESSIONS_PER_ERA: PropTypes.number,
+    MIN_UNBONDING_ERAS: PropTypes.number.isRequired,
+    TOKEN_SYMBOL: PropTypes.string.isRequired,
+    TOKEN_DECIMALS: PropTypes.number.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default NetworkSelector;
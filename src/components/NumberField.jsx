@@ -0,0 +1,27 @@
+import PropTypes from 'prop-types';
+
+export const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const NumberField = ({ label, value, onChange, step = 1, min = 0 }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+    <input
+      type="number"
+      value={value}
+      onChange={(e) => onChange(Math.max(min, parseFloat(e.target.value) || 0))}
+      className={inputClass}
+      min={min}
+      step={step}
+    />
+  </div>
+);
+
+NumberField.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  step: PropTypes.number,
+  min: PropTypes.number,
+};
+
+export default NumberField;
@@ -0,0 +1,260 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getPoolBalance,
+  pointsToBalance,
+  canUnbondFromPool,
+  getPoolMemberUnbonding,
+} from '../engine/index.js';
+import NumberField, { inputClass } from './NumberField.jsx';
+
+const poolShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  stakerId: PropTypes.number.isRequired,
+  points: PropTypes.number.isRequired,
+  members: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    points: PropTypes.number.isRequired,
+    withdrawn: PropTypes.number.isRequired,
+  })).isRequired,
+  subPools: PropTypes.shape({
+    withEra: PropTypes.object.isRequired,
+    noEra: PropTypes.shape({
+      points: PropTypes.number.isRequired,
+      balance: PropTypes.number.isRequired,
+    }).isRequired,
+  }).isRequired,
+});
+
+// One pool: rate, sub-pools, members with their per-era unbonding, and join/unbond/withdraw actions
+const PoolCard = ({ engine, pool, tokenSymbol, formatTokens, formatEras, onJoinPool, onUnbond, onWithdraw }) => {
+  const [joinName, setJoinName] = useState('');
+  const [joinAmount, setJoinAmount] = useState(100_000);
+  const [memberId, setMemberId] = useState(pool.members[0].id);
+  const [unbondAmount, setUnbondAmount] = useState(10_000);
+
+  const balance = getPoolBalance(engine, pool);
+  const unbondCheck = canUnbondFromPool(engine, pool.id, memberId, unbondAmount);
+  const subPools = Object.entries(pool.subPools.withEra).filter(([, subPool]) => subPool.points > 0);
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <div className="font-medium">{pool.name}</div>
+          <div className="text-sm text-gray-600">
+            {formatTokens(balance)} bonded for {pool.points.toLocaleString()} points
+            (1 point = {pointsToBalance(engine, pool, 1).toFixed(4)} {tokenSymbol})
+          </div>
+        </div>
+        <div className="text-sm text-gray-600 text-right">
+          <div>
+            Sub-pools: {subPools.length === 0 ? 'none' : subPools.map(([era, subPool]) => `era ${era}: ${formatTokens(subPool.balance)}`).join(', ')}
+          </div>
+          {pool.subPools.noEra.points > 0 && <div>No-era pool: {formatTokens(pool.subPools.noEra.balance)}</div>}
+        </div>
+      </div>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left p-2">Member</th>
+            <th className="text-left p-2">Points</th>
+            <th className="text-left p-2">Balance</th>
+            <th className="text-left p-2">Unbonding</th>
+            <th className="text-left p-2">Withdrawn</th>
+            <th className="text-left p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {pool.members.map(member => {
+            const unbonding = getPoolMemberUnbonding(engine, pool.id, member.id);
+            return (
+              <tr key={member.id} className="border-b align-top">
+                <td className="p-2 font-medium">{member.name}</td>
+                <td className="p-2">{member.points.toLocaleString()}</td>
+                <td className="p-2">{formatTokens(pointsToBalance(engine, pool, member.points))}</td>
+                <td className="p-2 text-xs">
+                  {unbonding.length === 0 ? '—' : unbonding.map(entry => (
+                    <div key={entry.era} className="mb-1">
+                      <span className="font-medium">Era {entry.era}: {formatTokens(entry.balance)}</span>
+                      {entry.merged && <span className="text-gray-500"> (no-era pool)</span>}
+                      <div className={entry.canWithdraw ? 'text-green-700' : 'text-gray-600'}>
+                        {entry.canWithdraw ? 'Claimable' : `Pool wait ${formatEras(entry.poolWait)}`}
+                        {!entry.canWithdraw && entry.directWait !== entry.poolWait && (
+                          <span className="text-orange-700"> (own chunk: {formatEras(entry.directWait)})</span>
+                        )}
+                      </div>
+                      {entry.poolPrevious !== null && (
+                        <div className="text-gray-500">
+                          Queued behind {formatTokens(entry.poolPrevious)} through the pool,
+                          {' '}{formatTokens(entry.directPrevious)} directly
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </td>
+                <td className="p-2">{formatTokens(member.withdrawn)}</td>
+                <td className="p-2">
+                  {unbonding.some(entry => entry.canWithdraw) && (
+                    <button
+                      onClick={() => onWithdraw(pool.id, member.id)}
+                      className="px-3 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700"
+                    >
+                      Withdraw
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="flex gap-2 items-end">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Member</label>
+            <select value={memberId} onChange={(e) => setMemberId(Number(e.target.value))} className={inputClass}>
+              {pool.members.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+            </select>
+          </div>
+          <div className="flex-1">
+            <NumberField label={`Unbond (${tokenSymbol})`} value={unbondAmount} onChange={setUnbondAmount} step={1000} />
+          </div>
+          <button
+            onClick={() => onUnbond(pool.id, memberId, unbondAmount)}
+            disabled={!unbondCheck.canUnbond}
+            title={unbondCheck.reason}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Unbond
+          </button>
+        </div>
+        <div className="flex gap-2 items-end">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">New Member</label>
+            <input
+              type="text"
+              value={joinName}
+              onChange={(e) => setJoinName(e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Carol"
+            />
+          </div>
+          <div className="flex-1">
+            <NumberField label={`Bond (${tokenSymbol})`} value={joinAmount} onChange={setJoinAmount} step={1000} />
+          </div>
+          <button
+            onClick={() => {
+              onJoinPool(pool.id, joinName.trim(), joinAmount);
+              setJoinName('');
+            }}
+            disabled={!joinName.trim() || joinAmount <= 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Join
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PoolCard.propTypes = {
+  engine: PropTypes.object.isRequired,
+  pool: poolShape.isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  formatEras: PropTypes.func.isRequired,
+  onJoinPool: PropTypes.func.isRequired,
+  onUnbond: PropTypes.func.isRequired,
+  onWithdraw: PropTypes.func.isRequired,
+};
+
+// Nomination pools bonding through a single ledger each, with members unbonding through them
+const PoolsPanel = ({ engine, tokenSymbol, formatTokens, formatEras, onCreatePool, onJoinPool, onUnbond, onWithdraw }) => {
+  const [name, setName] = useState('');
+  const [depositor, setDepositor] = useState('');
+  const [deposit, setDeposit] = useState(1_000);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Nomination Pools</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Each pool unbonds through one ledger, so all members unbonding in an era share one chunk and the
+        queue position of the pool&apos;s first unbond in that era. Members can claim once that chunk is withdrawn.
+      </p>
+
+      <div className="space-y-4 mb-6">
+        {engine.pools.map(pool => (
+          <PoolCard
+            key={pool.id}
+            engine={engine}
+            pool={pool}
+            tokenSymbol={tokenSymbol}
+            formatTokens={formatTokens}
+            formatEras={formatEras}
+            onJoinPool={onJoinPool}
+            onUnbond={onUnbond}
+            onWithdraw={onWithdraw}
+          />
+        ))}
+      </div>
+
+      <div className="flex gap-4 items-end">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Pool Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClass}
+            placeholder="e.g. Community Pool"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Depositor</label>
+          <input
+            type="text"
+            value={depositor}
+            onChange={(e) => setDepositor(e.target.value)}
+            className={inputClass}
+            placeholder="e.g. Operator"
+          />
+        </div>
+        <div className="flex-1">
+          <NumberField label={`Deposit (${tokenSymbol})`} value={deposit} onChange={setDeposit} step={100} />
+        </div>
+        <button
+          onClick={() => {
+            onCreatePool(name.trim(), depositor.trim(), deposit);
+            setName('');
+            setDepositor('');
+          }}
+          disabled={!name.trim() || !depositor.trim() || deposit <= 0}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          Create Pool
+        </button>
+      </div>
+    </div>
+  );
+};
+
+PoolsPanel.propTypes = {
+  engine: PropTypes.shape({
+    pools: PropTypes.arrayOf(poolShape).isRequired,
+  }).isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  formatEras: PropTypes.func.isRequired,
+  onCreatePool: PropTypes.func.isRequired,
+  onJoinPool: PropTypes.func.isRequired,
+  onUnbond: PropTypes.func.isRequired,
+  onWithdraw: PropTypes.func.isRequired,
+};
+
+export default PoolsPanel;
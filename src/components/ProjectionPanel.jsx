@@ -0,0 +1,131 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { projectWithdrawals, averageEraUnbonding } from '../engine/index.js';
+import { inputClass } from './NumberField.jsx';
+
+const parseSeries = (text) => {
+  const values = text.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+  if (values.some(v => !Number.isFinite(v) || v < 0)) {
+    throw new Error('Custom series needs comma-separated non-negative amounts');
+  }
+  return values;
+};
+
+// Gantt-style projection of when each pending chunk first passes canWithdraw
+const ProjectionPanel = ({ engine, lowestThirdStake, formatTokens, formatEraTime, stakerName }) => {
+  const [mode, setMode] = useState('none');
+  const [seriesText, setSeriesText] = useState('');
+
+  const { projection, error } = useMemo(() => {
+    try {
+      const series = mode === 'custom' ? parseSeries(seriesText) : [];
+      return { projection: projectWithdrawals(engine, { mode, series, lowestThirdStake }), error: null };
+    } catch (projectionError) {
+      return { projection: [], error: projectionError.message };
+    }
+  }, [engine, mode, seriesText, lowestThirdStake]);
+
+  const firstEra = Math.min(engine.currentEra, ...projection.map(p => p.startEra));
+  const lastEra = Math.max(
+    engine.currentEra + 1,
+    ...projection.map(p => Math.max(p.withdrawableEra ?? p.startEra, p.staticEra))
+  );
+  const position = (era) => `${((era - firstEra) / (lastEra - firstEra)) * 100}%`;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Withdrawal Projection</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Future Unbonding</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+            <option value="none">None</option>
+            <option value="average">Window average ({formatTokens(averageEraUnbonding(engine))} per era)</option>
+            <option value="custom">Custom series</option>
+          </select>
+        </div>
+        {mode === 'custom' && (
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Unbonding per Future Era (from era {engine.currentEra + 1}; later eras get none)
+            </label>
+            <input
+              type="text"
+              value={seriesText}
+              onChange={(e) => setSeriesText(e.target.value)}
+              className={inputClass}
+              placeholder="e.g. 5000000, 5000000, 20000000"
+            />
+          </div>
+        )}
+      </div>
+      {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+
+      {projection.length === 0 ? (
+        <p className="text-gray-500">No pending chunks to project</p>
+      ) : (
+        <>
+          <div className="relative space-y-2">
+            {projection.map(p => {
+              const endEra = p.withdrawableEra ?? lastEra;
+              return (
+                <div key={p.chunkId} className="flex items-center gap-3 text-sm">
+                  <div className="w-48 shrink-0 truncate">
+                    #{p.chunkId} {stakerName(p.stakerId)} · {formatTokens(p.amount)}
+                  </div>
+                  <div className="relative flex-1 h-6 bg-gray-100 rounded">
+                    <div
+                      className={`absolute h-6 rounded ${p.withdrawableEra === null ? 'bg-gray-400' : 'bg-blue-500'}`}
+                      style={{ left: position(p.startEra), width: `calc(${position(endEra)} - ${position(p.startEra)})` }}
+                      title={`Era ${p.startEra} → ${p.withdrawableEra ?? 'beyond horizon'}`}
+                    />
+                    {p.differs && (
+                      <div
+                        className="absolute -top-1 h-8 w-0.5 bg-red-600"
+                        style={{ left: position(p.staticEra) }}
+                        title={`Static estimate: era ${p.staticEra}`}
+                      />
+                    )}
+                    <div
+                      className="absolute h-6 w-px bg-purple-700"
+                      style={{ left: position(engine.currentEra) }}
+                    />
+                  </div>
+                  <div className={`w-40 shrink-0 text-right ${p.differs ? 'text-red-700' : 'text-gray-600'}`}>
+                    {p.withdrawableEra === null ? 'Beyond horizon' : `Era ${p.withdrawableEra}`}
+                    {p.differs && <span className="text-xs"> (static: {p.staticEra})</span>}
+                    {p.withdrawableEra !== null && (
+                      <div className="text-xs text-gray-500">{formatEraTime(p.withdrawableEra)}</div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-2 ml-52 mr-44">
+            <span>Era {firstEra}</span>
+            <span>Era {lastEra}</span>
+          </div>
+          <div className="mt-2 text-sm text-gray-500">
+            Bars run from the request era to the first era the chunk passes canWithdraw; the purple line is the
+            current era and red ticks mark the static estimate (current era + estimateUnbondingTime) where it differs.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+ProjectionPanel.propTypes = {
+  engine: PropTypes.shape({
+    currentEra: PropTypes.number.isRequired,
+    eraData: PropTypes.object.isRequired,
+    unlockChunks: PropTypes.array.isRequired,
+  }).isRequired,
+  lowestThirdStake: PropTypes.number.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+  formatEraTime: PropTypes.func.isRequired,
+  stakerName: PropTypes.func.isRequired,
+};
+
+export default ProjectionPanel;
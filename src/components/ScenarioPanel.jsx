@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { encodeShareLink, parseScenarioJson } from '../engine/index.js';
+import { downloadFile } from '../download.js';
+
+// Export and import the full simulation scenario; share links carry the event log instead
+const ScenarioPanel = ({ scenario, history, onLoadScenario, initialError }) => {
+  const [error, setError] = useState(initialError);
+  const [shareUrl, setShareUrl] = useState('');
+
+  const handleExport = () => {
+    downloadFile(
+      `unbonding-scenario-era-${scenario.engine.currentEra}.json`,
+      JSON.stringify(scenario, null, 2),
+      'application/json'
+    );
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      onLoadScenario(parseScenarioJson(await file.text()));
+      setError(null);
+    } catch (importError) {
+      setError(`Could not import scenario: ${importError.message}`);
+    }
+    event.target.value = '';
+  };
+
+  const handleShare = async () => {
+    const url = `${window.location.origin}${window.location.pathname}#scenario=${encodeShareLink(history)}`;
+    window.history.replaceState(null, '', url);
+    setShareUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      // Clipboard access can be denied; the link is still shown for manual copying
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Scenario</h2>
+      <div className="flex flex-wrap gap-4 items-center">
+        <button
+          onClick={handleExport}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Export JSON
+        </button>
+        <label className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 cursor-pointer">
+          Import JSON
+          <input type="file" accept=".json" onChange={handleImport} className="hidden" />
+        </label>
+        <button
+          onClick={handleShare}
+          className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700"
+        >
+          Copy Share Link
+        </button>
+      </div>
+      {shareUrl && (
+        <input
+          type="text"
+          readOnly
+          value={shareUrl}
+          onFocus={(e) => e.target.select()}
+          className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-xs text-gray-600"
+        />
+      )}
+      {error && (
+        <div className="mt-3 text-sm text-red-600">{error}</div>
+      )}
+    </div>
+  );
+};
+
+ScenarioPanel.propTypes = {
+  scenario: PropTypes.shape({
+    engine: PropTypes.shape({
+      currentEra: PropTypes.number.isRequired,
+    }).isRequired,
+  }).isRequired,
+  history: PropTypes.shape({
+    initialConfig: PropTypes.object.isRequired,
+    events: PropTypes.arrayOf(PropTypes.shape({ type: PropTypes.string.isRequired })).isRequired,
+    cursor: PropTypes.number.isRequired,
+  }).isRequired,
+  onLoadScenario: PropTypes.func.isRequired,
+  initialError: PropTypes.string,
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatAmount } from '../format.js';
+import NumberField, { inputClass } from './NumberField.jsx';
+
+// Report slashes with an offence era, fraction and defer duration, and list their status
+const SlashingPanel = ({
+  slashes, stakers, currentEra, defaultDeferDuration, tokenSymbol, onReportSlash, onCancelSlash,
+}) => {
+  const [offenceEra, setOffenceEra] = useState(currentEra);
+  const [fraction, setFraction] = useState(0.1);
+  const [deferDuration, setDeferDuration] = useState(defaultDeferDuration);
+  const [target, setTarget] = useState('all');
+  const [affectsLowestThird, setAffectsLowestThird] = useState(false);
+
+  const stakerNames = (stakerIds) =>
+    stakerIds.length === stakers.length
+      ? 'All stakers'
+      : stakerIds.map(id => stakers.find(s => s.id === id)?.name ?? `#${id}`).join(', ');
+
+  const handleReport = () => {
+    onReportSlash({
+      offenceEra: Math.round(offenceEra),
+      fraction,
+      deferDuration: Math.round(deferDuration),
+      stakerIds: target === 'all' ? stakers.map(s => s.id) : [Number(target)],
+      affectsLowestThird,
+    });
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">Slashing</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <NumberField label="Offence Era" value={offenceEra} onChange={setOffenceEra} />
+        <NumberField
+          label="Slash Fraction"
+          value={fraction}
+          onChange={(value) => setFraction(Math.min(1, value))}
+          step={0.01}
+        />
+        <NumberField label="Defer Duration (eras)" value={deferDuration} onChange={setDeferDuration} />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Slashed Stakers</label>
+          <select value={target} onChange={(e) => setTarget(e.target.value)} className={inputClass}>
+            <option value="all">All stakers</option>
+            {stakers.map(staker => (
+              <option key={staker.id} value={staker.id}>{staker.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="flex gap-4 items-center mb-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={affectsLowestThird}
+            onChange={(e) => setAffectsLowestThird(e.target.checked)}
+          />
+          Offending validator is in the lowest third (reduces lowest_third_stake)
+        </label>
+        <button
+          onClick={handleReport}
+          disabled={fraction <= 0}
+          className="ml-auto px-6 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400"
+        >
+          Report Slash
+        </button>
+      </div>
+
+      {slashes.length === 0 ? (
+        <p className="text-gray-500">No slashes reported</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2">Slash</th>
+                <th className="text-left p-2">Stakers</th>
+                <th className="text-left p-2">Offence Era</th>
+                <th className="text-left p-2">Apply Era</th>
+                <th className="text-left p-2">Fraction</th>
+                <th className="text-left p-2">Status</th>
+                <th className="text-left p-2">Slashed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...slashes].reverse().map(slash => (
+                <tr key={slash.id} className="border-b">
+                  <td className="p-2 font-medium">#{slash.id}</td>
+                  <td className="p-2">{stakerNames(slash.stakerIds)}</td>
+                  <td className="p-2">{slash.offenceEra}</td>
+                  <td className="p-2">{slash.applyEra}</td>
+                  <td className="p-2">{(slash.fraction * 100).toFixed(1)}%</td>
+                  <td className="p-2">
+                    <span className={`px-2 py-1 rounded text-xs ${
+                      slash.status === 'pending'
+                        ? 'bg-yellow-100 text-yellow-800'
+                        : slash.status === 'applied' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {slash.status}
+                    </span>
+                    {slash.status === 'pending' && (
+                      <button
+                        onClick={() => onCancelSlash(slash.id)}
+                        className="ml-2 px-2 py-1 bg-gray-500 text-white rounded text-xs hover:bg-gray-600"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                  <td className="p-2">{slash.status === 'applied' ? `${formatAmount(slash.slashedAmount)} ${tokenSymbol}` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SlashingPanel.propTypes = {
+  slashes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    offenceEra: PropTypes.number.isRequired,
+    applyEra: PropTypes.number.isRequired,
+    fraction: PropTypes.number.isRequired,
+    stakerIds: PropTypes.arrayOf(PropTypes.number).isRequired,
+    status: PropTypes.string.isRequired,
+    slashedAmount: PropTypes.number.isRequired,
+  })).isRequired,
+  stakers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+  })).isRequired,
+  currentEra: PropTypes.number.isRequired,
+  defaultDeferDuration: PropTypes.number.isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  onReportSlash: PropTypes.func.isRequired,
+  onCancelSlash: PropTypes.func.isRequired,
+};
+
+export default SlashingPanel;
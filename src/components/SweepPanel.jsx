@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { DEFAULT_SWEEP_GRID, SWEEP_PARAMS, validateSweepGrid, sliceSweep } from '../engine/index.js';
+import { sweepInWorker } from '../analyzeInWorker.js';
+import { inputClass } from './NumberField.jsx';
+
+// Heatmap metrics; `lowerIsBetter` picks the direction of the green-to-red scale
+const METRICS = [
+  { key: 'meanDuration', label: 'Mean Duration (eras)', lowerIsBetter: true, format: (v) => v.toFixed(1) },
+  { key: 'p95Duration', label: 'p95 Duration (eras)', lowerIsBetter: true, format: (v) => String(v) },
+  { key: 'minWaitShare', label: 'Within Minimum Wait', lowerIsBetter: false, format: (v) => `${(v * 100).toFixed(0)}%` },
+];
+
+const parseGridValues = (text) => {
+  const values = text.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+const cellColor = (value, min, max, lowerIsBetter) => {
+  if (value === null) return '#f3f4f6';
+  const position = max === min ? 0.5 : (value - min) / (max - min);
+  const goodness = lowerIsBetter ? 1 - position : position;
+  return `hsl(${Math.round(goodness * 120)}, 70%, 80%)`;
+};
+
+// Replays the imported history across a grid of parameters and shows 2D heatmap slices
+const SweepPanel = ({ rows }) => {
+  const [gridText, setGridText] = useState(() =>
+    Object.fromEntries(SWEEP_PARAMS.map(name => [name, DEFAULT_SWEEP_GRID[name].join(', ')]))
+  );
+  const [sweep, setSweep] = useState(null); // { grid, cells }
+  const [progress, setProgress] = useState(null); // running sweep: { done, total, cancel }
+  const [error, setError] = useState(null);
+  const [xParam, setXParam] = useState('MIN_SLASHABLE_SHARE');
+  const [yParam, setYParam] = useState('lowestThirdRatio');
+  const [fixed, setFixed] = useState({});
+
+  const runSweep = async () => {
+    let grid;
+    try {
+      grid = Object.fromEntries(SWEEP_PARAMS.map(name => [name, parseGridValues(gridText[name])]));
+      validateSweepGrid(grid);
+    } catch (parseError) {
+      setError(parseError.message);
+      return;
+    }
+
+    progress?.cancel();
+    const input = rows.map(({ date, total_stake, unbonded_amount }) => ({ date, total_stake, unbonded_amount }));
+    const { result, cancel } = sweepInWorker(input, grid, (done, total) =>
+      setProgress(prev => prev && prev.cancel === cancel ? { ...prev, done, total } : prev)
+    );
+    setProgress({ done: 0, total: SWEEP_PARAMS.reduce((n, name) => n * grid[name].length, 1), cancel });
+    setError(null);
+
+    try {
+      const cells = await result;
+      if (cells === null) return;
+      setSweep({ grid, cells });
+      // Hold the other parameters at the middle of their ranges
+      setFixed(Object.fromEntries(SWEEP_PARAMS.map(name => [name, grid[name][Math.floor(grid[name].length / 2)]])));
+    } catch (sweepError) {
+      setError(`Sweep failed: ${sweepError.message}`);
+    } finally {
+      setProgress(prev => (prev?.cancel === cancel ? null : prev));
+    }
+  };
+
+  const cancelSweep = () => {
+    progress?.cancel();
+    setProgress(null);
+  };
+
+  const changeAxis = (setAxis, otherAxis, value) => {
+    if (value === otherAxis) return;
+    setAxis(value);
+  };
+
+  const slice = sweep ? sliceSweep(sweep.cells, xParam, yParam, fixed) : [];
+  const cellAt = (x, y) => slice.find(cell => cell.params[xParam] === x && cell.params[yParam] === y);
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold mb-3">Parameter Sweep</h3>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        {SWEEP_PARAMS.map(name => (
+          <div key={name}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{name}</label>
+            <input
+              type="text"
+              value={gridText[name]}
+              onChange={(e) => setGridText(prev => ({ ...prev, [name]: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 items-center mb-4">
+        <button
+          onClick={runSweep}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Run Sweep
+        </button>
+        {progress && (
+          <>
+            <span className="text-sm text-gray-600">
+              {progress.done} / {progress.total} combinations
+            </span>
+            <button
+              onClick={cancelSweep}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+      {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+
+      {sweep && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Columns</label>
+              <select value={xParam} onChange={(e) => changeAxis(setXParam, yParam, e.target.value)} className={inputClass}>
+                {SWEEP_PARAMS.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Rows</label>
+              <select value={yParam} onChange={(e) => changeAxis(setYParam, xParam, e.target.value)} className={inputClass}>
+                {SWEEP_PARAMS.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+            {SWEEP_PARAMS.filter(name => name !== xParam && name !== yParam).map(name => (
+              <div key={name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{name} (fixed)</label>
+                <select
+                  value={fixed[name]}
+                  onChange={(e) => setFixed(prev => ({ ...prev, [name]: Number(e.target.value) }))}
+                  className={inputClass}
+                >
+                  {sweep.grid[name].map(value => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {METRICS.map(metric => {
+              const values = slice.map(cell => cell[metric.key]).filter(v => v !== null);
+              const min = Math.min(...values);
+              const max = Math.max(...values);
+              return (
+                <div key={metric.key} className="overflow-x-auto">
+                  <div className="text-sm font-medium text-gray-700 mb-2">{metric.label}</div>
+                  <table className="text-xs border-collapse">
+                    <thead>
+                      <tr>
+                        <th className="p-1 text-gray-500">{yParam} \ {xParam}</th>
+                        {sweep.grid[xParam].map(x => <th key={x} className="p-1">{x}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sweep.grid[yParam].map(y => (
+                        <tr key={y}>
+                          <th className="p-1 text-right">{y}</th>
+                          {sweep.grid[xParam].map(x => {
+                            const value = cellAt(x, y)?.[metric.key] ?? null;
+                            return (
+                              <td
+                                key={x}
+                                className="p-2 text-center border border-white"
+                                style={{ backgroundColor: cellColor(value, min, max, metric.lowerIsBetter) }}
+                              >
+                                {value === null ? '—' : metric.format(value)}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </div>
+          <div className="mt-2 text-sm text-gray-500">
+            Green is better for users; — marks combinations where no era has a full BONDING_DURATION history.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+SweepPanel.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    total_stake: PropTypes.number.isRequired,
+    unbonded_amount: PropTypes.number.isRequired,
+  })).isRequired,
+};
+
+export default SweepPanel;
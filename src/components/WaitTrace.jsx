@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Expandable explanation of a chunk's wait: every lookback era of the backward scan
+const WaitTrace = ({ trace, bondingDuration, minUnbondingEras, formatTokens }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="mt-2">
+      <button onClick={() => setOpen(!open)} className="text-xs text-blue-600 hover:underline">
+        {open ? 'Hide wait explanation' : 'Explain this wait'}
+      </button>
+      {open && (
+        <div className="mt-2 p-3 bg-white border border-gray-200 rounded text-xs text-gray-700">
+          {trace.pendingSlash && (
+            <div className="mb-2 text-red-700">
+              Slash #{trace.pendingSlash.id} is pending until era {trace.pendingSlash.applyEra}; withdrawal is blocked until then.
+            </div>
+          )}
+          {trace.outsideWindow ? (
+            <div>
+              The chunk started before the {bondingDuration}-era window, so no threshold applies; it only waits
+              for the {minUnbondingEras}-era minimum ({trace.estimatedWait} eras left).
+            </div>
+          ) : (
+            <>
+              <div className="mb-2">
+                Scanning back from the current era, each lookback era passes if the unbonding from it through
+                the current era fits within (1 − MIN_SLASHABLE_SHARE) × its lowest-third stake. In the start era
+                only min(era total {formatTokens(trace.startEraTotal)}, previous unbonded + chunk
+                {' '}{formatTokens(trace.startEraCap)}) counts, so later unbonds in that era don&apos;t delay this chunk.
+              </div>
+              <table className="w-full mb-2">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left p-1">Lookback Era</th>
+                    <th className="text-left p-1">Window Sum</th>
+                    <th className="text-left p-1">Start-Era Share</th>
+                    <th className="text-left p-1">Threshold</th>
+                    <th className="text-left p-1">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trace.steps.map(step => (
+                    <tr key={step.lookbackEra} className="border-b">
+                      <td className="p-1">{step.lookbackEra}</td>
+                      <td className="p-1">{formatTokens(step.sumWindow)}</td>
+                      <td className="p-1">
+                        {step.startEraContribution === null ? '—' : formatTokens(step.startEraContribution)}
+                      </td>
+                      <td className="p-1">{formatTokens(step.threshold)}</td>
+                      <td className={`p-1 font-medium ${step.passed ? 'text-green-700' : 'text-red-700'}`}>
+                        {step.passed ? 'Passed' : 'Failed'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="font-medium">
+                {trace.erasPassed} era{trace.erasPassed === 1 ? '' : 's'} passed
+                {trace.steps[trace.steps.length - 1].passed ? ' back to the start era' : ' before the first failure'}, so
+                wait = max(BONDING_DURATION − {trace.erasPassed}, MIN_UNBONDING_ERAS {minUnbondingEras})
+                {' '}= {trace.estimatedWait} eras
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+WaitTrace.propTypes = {
+  trace: PropTypes.shape({
+    outsideWindow: PropTypes.bool.isRequired,
+    steps: PropTypes.arrayOf(PropTypes.shape({
+      lookbackEra: PropTypes.number.isRequired,
+      sumWindow: PropTypes.number.isRequired,
+      startEraContribution: PropTypes.number,
+      threshold: PropTypes.number.isRequired,
+      passed: PropTypes.bool.isRequired,
+    })).isRequired,
+    startEraTotal: PropTypes.number,
+    startEraCap: PropTypes.number,
+    erasPassed: PropTypes.number,
+    minimumWait: PropTypes.number.isRequired,
+    pendingSlash: PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      applyEra: PropTypes.number.isRequired,
+    }),
+    estimatedWait: PropTypes.number.isRequired,
+  }).isRequired,
+  bondingDuration: PropTypes.number.isRequired,
+  minUnbondingEras: PropTypes.number.isRequired,
+  formatTokens: PropTypes.func.isRequired,
+};
+
+export default WaitTrace;
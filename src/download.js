@@ -0,0 +1,13 @@
+// Trigger a browser download for generated content
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously, so keep the URL alive briefly
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,162 @@
+import {
+  getMaxUnstakeForEra,
+  getStaker,
+  getStakerChunks,
+  addStaker,
+  addUnbondingRequest,
+  rebondChunk,
+  canWithdraw,
+  advanceEras,
+  withdrawAllEligible,
+} from './eraEngine.js';
+
+// Adversarial exit simulator: an attacker ledger holding a chosen amount of stake is added to
+// a copy of the engine state and follows a fixed strategy for k eras, withdrawing whatever
+// canWithdraw allows at the start of every era. As in the invariant monitor, every era checks
+// each lookback era L of the BONDING_DURATION window: the attacker's stake unbonded in eras
+// L..currentEra and already withdrawn must stay within (1 - MIN_SLASHABLE_SHARE) *
+// lowest_third_stake[L]. Stake that waited out the whole window never counts against it.
+
+export const ATTACK_STRATEGIES = {
+  bigUnbond: {
+    label: 'One big unbond',
+    description: 'Unbond the whole stake in the first era and wait',
+  },
+  spread: {
+    label: 'Spread across eras',
+    description: 'Unbond the current era\'s threshold whenever no earlier chunk is still unlocking',
+  },
+  windowSlide: {
+    label: 'Window slide',
+    description: 'Every era, unbond the headroom left across the whole window, taking capacity as soon as old eras slide out',
+  },
+  rebondChurn: {
+    label: 'Rebond-then-unbond churn',
+    description: 'Unbond everything, then rebond chunks that are still slow and unbond again sized to the era threshold',
+  },
+};
+
+export const ATTACKER_NAME = 'Attacker';
+
+// Threshold left in the current era alone
+const eraHeadroom = (state) =>
+  Math.max(0, getMaxUnstakeForEra(state, state.currentEra) - (state.eraData[state.currentEra]?.total_unbond_in_era || 0));
+
+// Smallest threshold margin over every lookback era of the window, as a new unbond sees it
+const windowHeadroom = (state) => {
+  const { networkParams, eraData, currentEra } = state;
+  let sum = 0;
+  let headroom = Infinity;
+  for (let era = currentEra; era > currentEra - networkParams.BONDING_DURATION; era--) {
+    sum += eraData[era]?.total_unbond_in_era || 0;
+    headroom = Math.min(headroom, getMaxUnstakeForEra(state, era) - sum);
+  }
+  return Math.max(0, headroom);
+};
+
+// A new chunk would count against the attacker's own pending chunks, so spacing strategies wait
+const isUnlocking = (state, attackerId) => getStakerChunks(state, attackerId).length > 0;
+
+const unbondUpTo = (state, attackerId, amount) => {
+  const active = getStaker(state, attackerId).active;
+  const unbond = Math.min(active, amount);
+  return unbond > 0 ? addUnbondingRequest(state, unbond, attackerId) : state;
+};
+
+// One era of each strategy, run after the attacker has withdrawn everything eligible
+const STRATEGY_STEPS = {
+  bigUnbond: (state, attackerId, step) => (step === 0 ? unbondUpTo(state, attackerId, Infinity) : state),
+  spread: (state, attackerId) =>
+    (isUnlocking(state, attackerId) ? state : unbondUpTo(state, attackerId, eraHeadroom(state))),
+  windowSlide: (state, attackerId) => unbondUpTo(state, attackerId, windowHeadroom(state)),
+  rebondChurn: (state, attackerId, step) => {
+    if (step === 0) return unbondUpTo(state, attackerId, Infinity);
+    // Chunks a fresh request would beat are pulled back and re-unbonded
+    const slow = getStakerChunks(state, attackerId).filter(chunk => {
+      const check = canWithdraw(state, chunk);
+      return !check.canWithdraw && (check.estimatedErasRemaining ?? 0) > state.networkParams.MIN_UNBONDING_ERAS;
+    });
+    const rebonded = slow.reduce((next, chunk) => rebondChunk(next, chunk.id, chunk.unbonding_amount), state);
+    return isUnlocking(rebonded, attackerId) ? rebonded : unbondUpTo(rebonded, attackerId, eraHeadroom(rebonded));
+  },
+};
+
+// Most exceeded lookback era of the current window for the attacker's withdrawn chunks
+const worstLookback = (state, attackerId) => {
+  const { networkParams, currentEra } = state;
+  const withdrawn = state.withdrawnChunks.filter(chunk => chunk.stakerId === attackerId);
+  let worst = null;
+  for (let lookbackEra = currentEra; lookbackEra > currentEra - networkParams.BONDING_DURATION; lookbackEra--) {
+    const exited = withdrawn
+      .filter(chunk => chunk.unbonding_start_era >= lookbackEra)
+      .reduce((sum, chunk) => sum + chunk.unbonding_amount, 0);
+    const bound = getMaxUnstakeForEra(state, lookbackEra);
+    const ratio = bound > 0 ? exited / bound : null;
+    if (worst === null || (ratio ?? -1) > (worst.ratio ?? -1)) {
+      worst = { era: currentEra, lookbackEra, exited, bound, ratio };
+    }
+  }
+  return worst;
+};
+
+// Run one strategy for `eras` eras from the current state. Returns the stake withdrawn by the
+// end of the last era, the bound at the starting era, the lookback window with the highest share
+// of its bound withdrawn, the first era a window passed its bound and a per-era timeline.
+export const simulateAttack = (state, { strategy, attackerStake, eras, lowestThirdStake }) => {
+  if (!STRATEGY_STEPS[strategy]) {
+    throw new Error(`Unknown attack strategy "${strategy}"`);
+  }
+  if (!(attackerStake > 0)) {
+    throw new Error('Attacker stake must be positive');
+  }
+  if (!Number.isInteger(eras) || eras < 1) {
+    throw new Error(`Attack horizon must be a positive number of eras, got ${eras}`);
+  }
+
+  const attackerId = state.nextStakerId;
+  let current = addStaker(state, ATTACKER_NAME, attackerStake);
+  const startEra = current.currentEra;
+  const bound = getMaxUnstakeForEra(current, startEra);
+  const timeline = [];
+
+  for (let step = 0; step <= eras; step++) {
+    current = withdrawAllEligible(current, attackerId);
+    // The last pass only collects what became withdrawable in the final era
+    if (step < eras) {
+      current = STRATEGY_STEPS[strategy](current, attackerId, step);
+    }
+    const attacker = getStaker(current, attackerId);
+    timeline.push({
+      era: current.currentEra,
+      withdrawn: attacker.free,
+      unlocking: attacker.bonded - attacker.active,
+      worst: worstLookback(current, attackerId),
+    });
+    if (step < eras) {
+      current = advanceEras(current, 1, lowestThirdStake);
+    }
+  }
+
+  const withdrawn = getStaker(current, attackerId).free;
+  const worstWindow = timeline
+    .map(point => point.worst)
+    .reduce((worst, point) => ((point.ratio ?? -1) > (worst.ratio ?? -1) ? point : worst));
+  const firstExceeded = timeline.find(point => point.worst.exited > point.worst.bound);
+  return {
+    strategy,
+    startEra,
+    eras,
+    attackerStake,
+    bound,
+    withdrawn,
+    worstWindow,
+    boundRatio: worstWindow.ratio,
+    exceedsBound: firstExceeded !== undefined,
+    firstExceededEra: firstExceeded?.era ?? null,
+    timeline,
+  };
+};
+
+// Every strategy against the same starting state
+export const compareAttackStrategies = (state, options) =>
+  Object.keys(ATTACK_STRATEGIES).map(strategy => simulateAttack(state, { ...options, strategy }));
@@ -0,0 +1,137 @@
+import {
+  addStaker,
+  addUnbondingRequest,
+  canWithdraw,
+  estimateNewUnbondingTime,
+} from './eraEngine.js';
+import { futureUnbonding, advanceWithUnbonding } from './projection.js';
+
+// Splitting and timing advisor: compares ways of unbonding one amount from the current era
+// data. Each plan is a list of parts requested some eras from now; a copy of the engine is
+// stepped forward (with the same future-unbonding assumptions as the withdrawal projection)
+// to find when every part passes canWithdraw. Waits count from now, including any delay.
+
+export const ADVISOR_OBJECTIVES = ['mean', 'max'];
+
+export const ADVISOR_PLANS = {
+  now: 'Unbond everything now',
+  split: 'Split across the next eras',
+  wait: 'Wait for the window to clear',
+};
+
+const ADVISOR_NAME = 'Advisor';
+
+// Era at which a delayed single request has the shortest estimated total wait; the earliest wins ties
+const bestDelay = (state, amount, amountFor, lowestThirdStake) => {
+  let projected = state;
+  let best = { delay: 0, wait: estimateNewUnbondingTime(state, amount) };
+  for (let delay = 1; delay < state.networkParams.BONDING_DURATION; delay++) {
+    projected = advanceWithUnbonding(projected, lowestThirdStake, amountFor(delay));
+    const wait = delay + estimateNewUnbondingTime(projected, amount);
+    if (wait < best.wait) best = { delay, wait };
+  }
+  return best.delay;
+};
+
+// Step the engine forward, requesting each part at its delay, until every part is withdrawable
+const simulatePlan = (state, parts, amountFor, lowestThirdStake) => {
+  const total = parts.reduce((sum, part) => sum + part.amount, 0);
+  const advisorId = state.nextStakerId;
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS } = state.networkParams;
+  const horizon = Math.max(...parts.map(part => part.delay)) + BONDING_DURATION + MIN_UNBONDING_ERAS;
+
+  let projected = addStaker(state, ADVISOR_NAME, total);
+  const results = parts.map(part => ({ ...part, chunkId: null, estimatedWait: null, wait: null }));
+  for (let step = 0; step <= horizon; step++) {
+    if (step > 0) {
+      projected = advanceWithUnbonding(projected, lowestThirdStake, amountFor(step));
+    }
+
+    results.forEach(result => {
+      if (result.delay !== step) return;
+      result.estimatedWait = step + estimateNewUnbondingTime(projected, result.amount);
+      result.chunkId = projected.nextChunkId;
+      projected = addUnbondingRequest(projected, result.amount, advisorId);
+    });
+
+    results.forEach(result => {
+      if (result.chunkId === null || result.wait !== null) return;
+      const chunk = projected.unlockChunks.find(c => c.id === result.chunkId);
+      if (canWithdraw(projected, chunk).canWithdraw) result.wait = step;
+    });
+    if (results.every(result => result.wait !== null)) break;
+  }
+
+  return results.map(result => ({
+    delay: result.delay,
+    amount: result.amount,
+    estimatedWait: result.estimatedWait,
+    wait: result.wait,
+    requestEra: state.currentEra + result.delay,
+    withdrawableEra: result.wait === null ? null : state.currentEra + result.wait,
+  }));
+};
+
+// Amount-weighted mean and maximum of a plan's part waits
+const summarizeWaits = (parts, key) => {
+  const total = parts.reduce((sum, part) => sum + part.amount, 0);
+  const waits = parts.map(part => part[key]);
+  if (waits.some(wait => wait === null)) return { mean: null, max: null };
+  return {
+    mean: parts.reduce((sum, part) => sum + part.amount * part[key], 0) / total,
+    max: Math.max(...waits),
+  };
+};
+
+// Compare unbonding `amount` now, in `splitEras` equal parts over the next eras, and at the
+// delay with the shortest estimated wait, and recommend the plan with the lowest mean or max wait.
+export const adviseUnbonding = (state, {
+  amount,
+  splitEras = 4,
+  objective = 'mean',
+  mode = 'none',
+  series = [],
+  lowestThirdStake = state.eraData[state.currentEra]?.lowest_third_stake ?? 0,
+}) => {
+  if (!(amount > 0)) {
+    throw new Error('Amount to unbond must be positive');
+  }
+  if (!Number.isInteger(splitEras) || splitEras < 2) {
+    throw new Error(`Splitting needs at least 2 eras, got ${splitEras}`);
+  }
+  if (splitEras > state.networkParams.MAX_UNLOCKING_CHUNKS) {
+    throw new Error(`Splitting over ${splitEras} eras exceeds MaxUnlockingChunks (${state.networkParams.MAX_UNLOCKING_CHUNKS})`);
+  }
+  if (!ADVISOR_OBJECTIVES.includes(objective)) {
+    throw new Error(`Unknown objective "${objective}"`);
+  }
+
+  const amountFor = futureUnbonding(state, mode, series);
+  const delay = bestDelay(state, amount, amountFor, lowestThirdStake);
+  const candidates = {
+    now: [{ delay: 0, amount }],
+    split: Array.from({ length: splitEras }, (_, i) => ({ delay: i, amount: amount / splitEras })),
+    wait: [{ delay, amount }],
+  };
+
+  const plans = Object.entries(candidates).map(([id, parts]) => {
+    const simulated = simulatePlan(state, parts, amountFor, lowestThirdStake);
+    return {
+      id,
+      label: ADVISOR_PLANS[id],
+      parts: simulated,
+      meanWait: summarizeWaits(simulated, 'wait').mean,
+      maxWait: summarizeWaits(simulated, 'wait').max,
+      estimatedMeanWait: summarizeWaits(simulated, 'estimatedWait').mean,
+      estimatedMaxWait: summarizeWaits(simulated, 'estimatedWait').max,
+    };
+  });
+
+  // Plans are listed simplest first, so ties keep the simpler plan
+  const key = objective === 'mean' ? 'meanWait' : 'maxWait';
+  const recommended = plans
+    .filter(plan => plan[key] !== null)
+    .reduce((best, plan) => (best === null || plan[key] < best[key] ? plan : best), null);
+
+  return { objective, plans, recommended: recommended?.id ?? null, delay };
+};
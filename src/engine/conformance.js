@@ -0,0 +1,241 @@
+import {
+  DEFAULT_NETWORK_PARAMS,
+  createEngineState,
+  canWithdraw,
+  estimateUnbondingTime,
+  explainUnbondingTime,
+  estimateNewUnbondingTime,
+} from './eraEngine.js';
+import { analyzeUnbondingHistory, analyzeUnbondingHistoryReference } from './empirical.js';
+
+// Conformance harness for the backward threshold scan. Each test vector holds era data,
+// one unlock chunk and the outputs expected by the R reference implementation or the spec:
+//   duration        eras from the chunk's start era until withdrawal, as the R algorithm
+//                   computes it when the request is made (start era counts up to this chunk)
+//   withdrawableEra first era at which the spec lets the chunk be withdrawn, given the eras
+//                   known at that point (later unbonding in the vector included)
+// Every code path that implements the scan is run against every vector it applies to.
+// estimateUnbondingTime and explainUnbondingTime scan back only to the chunk's start era, so
+// they are not the R duration; they are checked like canWithdraw's remaining-eras estimate.
+
+export const CONFORMANCE_VERSION = 1;
+
+const REQUIRED_PARAMS = ['BONDING_DURATION', 'MIN_UNBONDING_ERAS', 'MIN_SLASHABLE_SHARE'];
+const CHUNK_FIELDS = ['unbonding_start_era', 'unbonding_amount', 'previous_unbonded_stake_in_era'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Unbonding recorded in the start era when the chunk was requested
+const startEraUnbonding = (vector) =>
+  vector.chunk.previous_unbonded_stake_in_era + vector.chunk.unbonding_amount;
+
+// Check one vector; throws an Error naming the vector and the first problem found
+const validateVector = (vector, index) => {
+  const label = `Vector ${vector?.name ?? index + 1}`;
+  if (!vector || typeof vector !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  REQUIRED_PARAMS.forEach(name => {
+    if (!isNumber(vector.params?.[name])) {
+      throw new Error(`${label}: params.${name} must be a number`);
+    }
+  });
+  if (!Number.isInteger(vector.params.BONDING_DURATION) || vector.params.BONDING_DURATION < 1) {
+    throw new Error(`${label}: params.BONDING_DURATION must be a positive integer`);
+  }
+  if (!isNumber(vector.lowestThirdStake) || vector.lowestThirdStake < 0) {
+    throw new Error(`${label}: lowestThirdStake must be a non-negative number`);
+  }
+  Object.entries(vector.eraData ?? {}).forEach(([era, data]) => {
+    if (!Number.isInteger(Number(era))) {
+      throw new Error(`${label}: eraData key "${era}" is not an era number`);
+    }
+    ['lowest_third_stake', 'total_unbond_in_era'].forEach(field => {
+      if (data[field] !== undefined && (!isNumber(data[field]) || data[field] < 0)) {
+        throw new Error(`${label}: eraData[${era}].${field} must be a non-negative number`);
+      }
+    });
+  });
+  CHUNK_FIELDS.forEach(field => {
+    if (!isNumber(vector.chunk?.[field])) {
+      throw new Error(`${label}: chunk.${field} must be a number`);
+    }
+  });
+  if (!Number.isInteger(vector.chunk.unbonding_start_era)) {
+    throw new Error(`${label}: chunk.unbonding_start_era must be an integer`);
+  }
+  const startEraTotal = vector.eraData?.[vector.chunk.unbonding_start_era]?.total_unbond_in_era;
+  if (startEraTotal !== undefined && startEraTotal < startEraUnbonding(vector)) {
+    throw new Error(`${label}: the start era total is below the chunk's previous unbonded stake plus its amount`);
+  }
+  const { duration, withdrawableEra } = vector.expected ?? {};
+  if (duration === undefined && withdrawableEra === undefined) {
+    throw new Error(`${label}: expected needs a duration, a withdrawableEra or both`);
+  }
+  if (duration !== undefined && !Number.isInteger(duration)) {
+    throw new Error(`${label}: expected.duration must be an integer`);
+  }
+  if (withdrawableEra !== undefined && !Number.isInteger(withdrawableEra)) {
+    throw new Error(`${label}: expected.withdrawableEra must be an integer`);
+  }
+};
+
+// Parse and validate a vector file: { version, vectors: [...] }
+export const parseConformanceVectors = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Vector file is not valid JSON: ${error.message}`);
+  }
+  if (document?.version !== CONFORMANCE_VERSION) {
+    throw new Error(`Unsupported vector file version ${document?.version} (expected ${CONFORMANCE_VERSION})`);
+  }
+  if (!Array.isArray(document.vectors) || document.vectors.length === 0) {
+    throw new Error('Vector file has no "vectors" array');
+  }
+  document.vectors.forEach(validateVector);
+  return document.vectors;
+};
+
+// Era data of a vector, falling back to its default lowest-third stake and to no unbonding
+// besides the chunk's own start era
+const vectorEra = (vector, era) => ({
+  lowest_third_stake: vector.eraData?.[era]?.lowest_third_stake ?? vector.lowestThirdStake,
+  total_unbond_in_era: vector.eraData?.[era]?.total_unbond_in_era ??
+    (Number(era) === vector.chunk.unbonding_start_era ? startEraUnbonding(vector) : 0),
+});
+
+// Engine state at `currentEra` with the vector's window; `overrides` replaces single eras
+const vectorState = (vector, currentEra, overrides = {}) => {
+  const networkParams = { ...DEFAULT_NETWORK_PARAMS, ...vector.params };
+  const state = createEngineState({ networkParams, currentEra, stakers: [] });
+  const eraData = {};
+  Object.keys(state.eraData).forEach(era => {
+    eraData[era] = { ...vectorEra(vector, era), ...overrides[era] };
+  });
+  return { ...state, eraData };
+};
+
+const vectorChunk = (vector) => ({ id: 1, stakerId: 1, status: 'pending', ...vector.chunk });
+
+// The empirical loop on BONDING_DURATION rows of history plus the start era as the last row.
+// Rows carry the lowest-third stake as total_stake with a ratio of 1.
+const empiricalDuration = (analyze, vector) => {
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS, MIN_SLASHABLE_SHARE } = vector.params;
+  const startEra = vector.chunk.unbonding_start_era;
+  const rows = [];
+  for (let era = startEra - BONDING_DURATION; era <= startEra; era++) {
+    const data = vectorEra(vector, era);
+    rows.push({
+      date: new Date(Date.UTC(2000, 0, 1) + rows.length * 86_400_000).toISOString().split('T')[0],
+      total_stake: data.lowest_third_stake,
+      unbonded_amount: era === startEra ? startEraUnbonding(vector) : data.total_unbond_in_era,
+    });
+  }
+  const processed = analyze(rows, { BONDING_DURATION, MIN_UNBONDING_ERAS, MIN_SLASHABLE_SHARE, lowestThirdRatio: 1 });
+  return processed[processed.length - 1].estimatedDuration;
+};
+
+// Code paths producing a duration at the chunk's start era
+const DURATION_PATHS = {
+  estimateNewUnbondingTime: (vector) => {
+    const startEra = vector.chunk.unbonding_start_era;
+    const before = { [startEra]: { total_unbond_in_era: vector.chunk.previous_unbonded_stake_in_era } };
+    return estimateNewUnbondingTime(vectorState(vector, startEra, before), vector.chunk.unbonding_amount);
+  },
+  analyzeUnbondingHistoryReference: (vector) => empiricalDuration(analyzeUnbondingHistoryReference, vector),
+  analyzeUnbondingHistory: (vector) => empiricalDuration(analyzeUnbondingHistory, vector),
+};
+
+export const CONFORMANCE_PATHS = [
+  ...Object.keys(DURATION_PATHS),
+  'canWithdraw',
+  'canWithdraw.estimatedErasRemaining',
+  'estimateUnbondingTime',
+  'explainUnbondingTime',
+];
+
+// Step canWithdraw era by era from the start era, recording the chunk's wait estimates in
+// eras where the threshold holds it back. Past BONDING_DURATION + MIN_UNBONDING_ERAS the chunk
+// is outside the window and past its minimum, so the scan always ends.
+const runCanWithdraw = (vector) => {
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS } = vector.params;
+  const startEra = vector.chunk.unbonding_start_era;
+  const chunk = vectorChunk(vector);
+  const estimates = [];
+  for (let era = startEra; era <= startEra + BONDING_DURATION + MIN_UNBONDING_ERAS; era++) {
+    const state = vectorState(vector, era);
+    const result = canWithdraw(state, chunk);
+    if (result.canWithdraw) return { withdrawableEra: era, estimates };
+    if (result.estimatedErasRemaining !== undefined) {
+      estimates.push({
+        era,
+        'canWithdraw.estimatedErasRemaining': result.estimatedErasRemaining,
+        estimateUnbondingTime: estimateUnbondingTime(state, chunk),
+        explainUnbondingTime: explainUnbondingTime(state, chunk).estimatedWait,
+      });
+    }
+  }
+  return { withdrawableEra: null, estimates };
+};
+
+// Run one vector through every applicable path
+export const runConformanceVector = (vector) => {
+  const checks = [];
+  const check = (path, expected, run) => {
+    try {
+      const actual = run();
+      checks.push({ path, expected, actual, passed: actual === expected });
+    } catch (error) {
+      checks.push({ path, expected, actual: null, passed: false, error: error.message });
+    }
+  };
+
+  const { duration, withdrawableEra } = vector.expected;
+  if (duration !== undefined) {
+    Object.entries(DURATION_PATHS).forEach(([path, run]) => check(path, duration, () => run(vector)));
+  }
+
+  if (withdrawableEra !== undefined) {
+    let scan = null;
+    check('canWithdraw', withdrawableEra, () => {
+      scan = runCanWithdraw(vector);
+      return scan.withdrawableEra;
+    });
+    // A remaining-eras estimate should point at the era the chunk actually becomes withdrawable
+    if (scan?.estimates.length > 0) {
+      ['canWithdraw.estimatedErasRemaining', 'estimateUnbondingTime', 'explainUnbondingTime'].forEach(path => {
+        const wrong = scan.estimates.find(estimate => estimate.era + estimate[path] !== withdrawableEra);
+        const { era, [path]: erasRemaining } = wrong ?? scan.estimates[0];
+        checks.push({
+          path,
+          era,
+          expected: withdrawableEra - era,
+          actual: erasRemaining,
+          passed: !wrong,
+        });
+      });
+    }
+  }
+
+  return { name: vector.name, source: vector.source ?? null, checks };
+};
+
+// Run all vectors; `disagreements` lists every failed check with its vector
+export const runConformanceVectors = (vectors) => {
+  const results = vectors.map(runConformanceVector);
+  const disagreements = results.flatMap(result =>
+    result.checks.filter(c => !c.passed).map(c => ({ vector: result.name, source: result.source, ...c }))
+  );
+  const byPath = Object.fromEntries(CONFORMANCE_PATHS.map(path => {
+    const pathChecks = results.flatMap(result => result.checks.filter(c => c.path === path));
+    return [path, { checks: pathChecks.length, failed: pathChecks.filter(c => !c.passed).length }];
+  }));
+  return {
+    results,
+    disagreements,
+    byPath,
+    totalChecks: results.reduce((n, result) => n + result.checks.length, 0),
+  };
+};
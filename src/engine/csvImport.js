@@ -0,0 +1,159 @@
+import Papa from 'papaparse';
+
+// Import of historical unbonding CSVs from arbitrary indexer exports: columns are mapped
+// onto date, total_stake and unbonded_amount, amounts may be in Planck, and every
+// rejected row, duplicate period and missing period is reported instead of silently dropped.
+// A period is a UTC day, or one era of 24h / erasPerDay for per-era exports.
+
+export const EMPIRICAL_COLUMNS = ['date', 'total_stake', 'unbonded_amount'];
+
+// Header names seen in indexer exports, compared case-insensitively without separators
+const COLUMN_ALIASES = {
+  date: ['date', 'day', 'timestamp', 'time', 'blocktimestamp', 'eradate', 'datetime'],
+  total_stake: ['totalstake', 'totalstaked', 'stake', 'staked', 'totalbonded', 'bonded', 'erastake'],
+  unbonded_amount: ['unbondedamount', 'unbonded', 'unbonding', 'unbondamount', 'amount', 'totalunbonded'],
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raw CSV records keyed by header, with values left as strings for the mapping step
+export const parseCsvRecords = (text) => {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return { columns: parsed.meta.fields ?? [], records: parsed.data };
+};
+
+// Best guess of which CSV column holds each empirical field, preferring exact alias matches
+// over headers that merely start with an alias (e.g. "Total Staked (planck)"); unmatched fields map to null
+export const guessColumnMapping = (columns) => {
+  const findColumn = (aliases, matches) => aliases
+    .map(alias => columns.find(column => matches(normalizeHeader(column), alias)))
+    .find(column => column !== undefined);
+
+  const mapping = {};
+  EMPIRICAL_COLUMNS.forEach(field => {
+    mapping[field] = findColumn(COLUMN_ALIASES[field], (header, alias) => header === alias)
+      ?? findColumn(COLUMN_ALIASES[field], (header, alias) => header.startsWith(alias))
+      ?? null;
+  });
+  return mapping;
+};
+
+// Plain or Planck-denominated amount to whole tokens; null when not a non-negative number
+const parseAmount = (value, decimals) => {
+  const text = String(value ?? '').trim().replace(/[,_\s]/g, '');
+  if (!/^\d+(\.\d+)?(e[+-]?\d+)?$/i.test(text)) return null;
+  if (decimals === 0 || !/^\d+$/.test(text)) return Number(text) / 10 ** decimals;
+  // Shift the decimal point in the string so large Planck integers keep their precision
+  const padded = text.padStart(decimals + 1, '0');
+  return Number(`${padded.slice(0, -decimals)}.${padded.slice(-decimals)}`);
+};
+
+// ISO dates or unix timestamps (seconds or milliseconds) to a period number; null if unreadable
+const parsePeriod = (value, periodMs) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  let time;
+  if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    time = number < 1e11 ? number * 1000 : number;
+  } else {
+    time = Date.parse(text);
+  }
+  return Number.isFinite(time) ? Math.floor(time / periodMs) : null;
+};
+
+// Days as YYYY-MM-DD, eras as their UTC start time (YYYY-MM-DDTHH:MMZ)
+const periodToDate = (period, periodMs) => {
+  const iso = new Date(period * periodMs).toISOString();
+  return periodMs === DAY_MS ? iso.split('T')[0] : `${iso.slice(0, 16)}Z`;
+};
+
+// Validate mapped records into one row per period. `erasPerDay` is 1 for daily exports or the
+// network's ERAS_PER_DAY for one row per era; `decimals` is 0 for token units or the token's
+// decimals (10 or 12) for Planck; `gaps` is 'fill' (zero unbonding, total stake carried forward)
+// or 'reject' (the whole file is refused if any period is missing). The report's duplicateDays
+// and missingDays list periods, i.e. eras when erasPerDay is above 1.
+export const importUnbondingRecords = (records, { mapping, decimals = 0, gaps = 'fill', erasPerDay = 1 }) => {
+  const unmapped = EMPIRICAL_COLUMNS.filter(field => !mapping[field]);
+  if (unmapped.length > 0) {
+    throw new Error(`No column selected for ${unmapped.join(', ')}`);
+  }
+  if (!Number.isInteger(erasPerDay) || erasPerDay < 1) {
+    throw new Error(`erasPerDay must be a positive integer, got ${erasPerDay}`);
+  }
+  const periodMs = DAY_MS / erasPerDay;
+  const unit = erasPerDay === 1 ? 'day' : 'era';
+  const toDate = (period) => periodToDate(period, periodMs);
+
+  const rejected = [];
+  const duplicateDays = [];
+  const firstRowByPeriod = new Map();
+  const accepted = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const reject = (reason) => rejected.push({ row, reason, record });
+
+    const period = parsePeriod(record[mapping.date], periodMs);
+    if (period === null) return reject(`Unreadable date "${record[mapping.date] ?? ''}"`);
+    const totalStake = parseAmount(record[mapping.total_stake], decimals);
+    if (totalStake === null) return reject(`total_stake "${record[mapping.total_stake] ?? ''}" is not a number`);
+    if (totalStake === 0) return reject('total_stake is zero');
+    const unbonded = parseAmount(record[mapping.unbonded_amount], decimals);
+    if (unbonded === null) return reject(`unbonded_amount "${record[mapping.unbonded_amount] ?? ''}" is not a number`);
+
+    if (firstRowByPeriod.has(period)) {
+      duplicateDays.push(toDate(period));
+      return reject(`Duplicate ${unit} ${toDate(period)} (first seen in row ${firstRowByPeriod.get(period)})`);
+    }
+    firstRowByPeriod.set(period, row);
+    accepted.push({ period, total_stake: totalStake, unbonded_amount: unbonded });
+  });
+
+  const wasSorted = accepted.every((entry, i) => i === 0 || accepted[i - 1].period < entry.period);
+  accepted.sort((a, b) => a.period - b.period);
+
+  const missingDays = [];
+  const rows = [];
+  accepted.forEach((entry, i) => {
+    const previous = accepted[i - 1];
+    if (previous) {
+      for (let period = previous.period + 1; period < entry.period; period++) {
+        missingDays.push(toDate(period));
+        rows.push({ date: toDate(period), total_stake: previous.total_stake, unbonded_amount: 0, filled: true });
+      }
+    }
+    rows.push({ date: toDate(entry.period), total_stake: entry.total_stake, unbonded_amount: entry.unbonded_amount });
+  });
+
+  const fileError = gaps === 'reject' && missingDays.length > 0
+    ? `${missingDays.length} missing ${unit}${missingDays.length === 1 ? '' : 's'} (first ${missingDays[0]}); fill gaps with zeros to import anyway`
+    : null;
+
+  return {
+    unit,
+    rows: fileError ? [] : rows,
+    totalRecords: records.length,
+    acceptedRecords: accepted.length,
+    rejected,
+    duplicateDays,
+    missingDays,
+    filledDays: fileError ? 0 : missingDays.length,
+    wasSorted,
+    fileError,
+  };
+};
+
+// Parse, map and validate in one step; mapping entries override the guessed columns
+export const importUnbondingCsv = (text, { mapping = {}, ...options } = {}) => {
+  const { columns, records } = parseCsvRecords(text);
+  const fullMapping = { ...guessColumnMapping(columns), ...mapping };
+  EMPIRICAL_COLUMNS.forEach(field => {
+    if (fullMapping[field] && !columns.includes(fullMapping[field])) {
+      throw new Error(`Column "${fullMapping[field]}" for ${field} not found; columns are ${columns.join(', ')}`);
+    }
+  });
+  return importUnbondingRecords(records, { ...options, mapping: fullMapping });
+};
@@ -0,0 +1,254 @@
+import Papa from 'papaparse';
+
+// Replay of historical unbonding data through the era-based threshold rules.
+// Each CSV row is treated as one era with columns date, total_stake, unbonded_amount.
+
+export const DEFAULT_EMPIRICAL_PARAMS = {
+  BONDING_DURATION: 28,
+  MIN_UNBONDING_ERAS: 2,
+  MIN_SLASHABLE_SHARE: 0.5,
+  lowestThirdRatio: 0.287,
+};
+
+// Parse CSV text into rows usable by analyzeUnbondingHistory
+export const parseUnbondingCsv = (text) => {
+  const parsed = Papa.parse(text, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+  });
+
+  return parsed.data.filter(row => row.date && row.total_stake && row.unbonded_amount);
+};
+
+// R-style algorithm implementation over a list of per-era rows. It re-sums the window on every
+// lookback step, so it is quadratic in BONDING_DURATION; kept as the reference that
+// analyzeUnbondingHistory must reproduce exactly.
+export const analyzeUnbondingHistoryReference = (rows, params = DEFAULT_EMPIRICAL_PARAMS) => {
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS, MIN_SLASHABLE_SHARE, lowestThirdRatio } = {
+    ...DEFAULT_EMPIRICAL_PARAMS,
+    ...params,
+  };
+  const processedData = [];
+
+  rows.forEach((row, index) => {
+    const amount = row.unbonded_amount;
+    const maxStake = (1 - MIN_SLASHABLE_SHARE) * (lowestThirdRatio * row.total_stake);
+
+    // Need at least 29 days to get one full 28-day history + 1 simulation point
+    if (index < BONDING_DURATION) {
+      processedData.push({
+        ...row,
+        date: new Date(row.date).toISOString().split('T')[0],
+        estimatedDuration: null,
+        capacity: maxStake,
+        utilizationRatio: null,
+        hasFullHistory: false
+      });
+      return;
+    }
+
+    let e = 0; // Count of eras that pass threshold test
+
+    // Backward scan through window_size eras (R algorithm)
+    for (let k = 1; k <= BONDING_DURATION; k++) {
+      const lookbackIndex = index - k + 1;
+      if (lookbackIndex < 0) break;
+
+      // Sum unbonding from lookbackIndex through current index (inclusive)
+      const sumWindow = rows
+        .slice(lookbackIndex, index + 1)
+        .reduce((sum, d) => sum + (d.unbonded_amount || 0), 0);
+
+      // Use historical max_stake for the lookback era
+      const historicalMaxStake = (1 - MIN_SLASHABLE_SHARE) *
+                                 (lowestThirdRatio * rows[lookbackIndex].total_stake);
+
+      if (sumWindow <= historicalMaxStake) {
+        e++;
+      } else {
+        break;
+      }
+    }
+
+    // Duration calculation: window_size - e, with minimum delay
+    const duration = Math.max(
+      BONDING_DURATION - e,
+      MIN_UNBONDING_ERAS
+    );
+
+    processedData.push({
+      ...row,
+      date: new Date(row.date).toISOString().split('T')[0],
+      capacity: maxStake,
+      utilizationRatio: (amount / maxStake) * 100,
+      estimatedDuration: duration,
+      hasFullHistory: true,
+      erasPassed: e
+    });
+  });
+
+  return processedData;
+};
+
+// Rows between progress callbacks in analyzeUnbondingHistory
+const PROGRESS_INTERVAL = 1000;
+
+// Window sum in the reference order: oldest era first, starting from 0
+const orderedWindowSum = (amounts, from, to) => {
+  let sum = 0;
+  for (let i = from; i <= to; i++) sum += amounts[i];
+  return sum;
+};
+
+// Same results as analyzeUnbondingHistoryReference, but the window sum grows by one era per
+// lookback step instead of being re-summed. `onProgress(done, total)` is called every
+// PROGRESS_INTERVAL rows and once at the end.
+export const analyzeUnbondingHistory = (rows, params = DEFAULT_EMPIRICAL_PARAMS, onProgress) => {
+  const amounts = rows.map(d => d.unbonded_amount || 0);
+  // Non-numeric amounts (e.g. strings from loose CSV typing) concatenate in the reference; replay it as is
+  if (!amounts.every(Number.isFinite)) {
+    const processed = analyzeUnbondingHistoryReference(rows, params);
+    onProgress?.(rows.length, rows.length);
+    return processed;
+  }
+
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS, MIN_SLASHABLE_SHARE, lowestThirdRatio } = {
+    ...DEFAULT_EMPIRICAL_PARAMS,
+    ...params,
+  };
+  const processedData = [];
+
+  rows.forEach((row, index) => {
+    const amount = row.unbonded_amount;
+    const maxStake = (1 - MIN_SLASHABLE_SHARE) * (lowestThirdRatio * row.total_stake);
+
+    if (index < BONDING_DURATION) {
+      processedData.push({
+        ...row,
+        date: new Date(row.date).toISOString().split('T')[0],
+        estimatedDuration: null,
+        capacity: maxStake,
+        utilizationRatio: null,
+        hasFullHistory: false
+      });
+    } else {
+      let e = 0;
+      let sumWindow = 0;
+      let absSum = 0;
+
+      for (let k = 1; k <= BONDING_DURATION; k++) {
+        const lookbackIndex = index - k + 1;
+        sumWindow += amounts[lookbackIndex];
+        absSum += Math.abs(amounts[lookbackIndex]);
+
+        const historicalMaxStake = (1 - MIN_SLASHABLE_SHARE) *
+                                   (lowestThirdRatio * rows[lookbackIndex].total_stake);
+
+        // Adding newest-first rounds differently from the reference's oldest-first sum. The two
+        // differ by at most ~k * EPSILON * absSum, so only a comparison inside that margin is
+        // settled by re-summing in reference order.
+        const margin = 2 * k * Number.EPSILON * absSum;
+        const passes = Math.abs(sumWindow - historicalMaxStake) > margin
+          ? sumWindow <= historicalMaxStake
+          : orderedWindowSum(amounts, lookbackIndex, index) <= historicalMaxStake;
+
+        if (passes) {
+          e++;
+        } else {
+          break;
+        }
+      }
+
+      const duration = Math.max(
+        BONDING_DURATION - e,
+        MIN_UNBONDING_ERAS
+      );
+
+      processedData.push({
+        ...row,
+        date: new Date(row.date).toISOString().split('T')[0],
+        capacity: maxStake,
+        utilizationRatio: (amount / maxStake) * 100,
+        estimatedDuration: duration,
+        hasFullHistory: true,
+        erasPassed: e
+      });
+    }
+
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) onProgress(index + 1, rows.length);
+  });
+
+  onProgress?.(rows.length, rows.length);
+  return processedData;
+};
+
+// Summary statistics over the rows that had a full history window
+export const summarizeEmpiricalData = (processedData) => {
+  const validData = processedData.filter(d => d.hasFullHistory);
+  if (validData.length === 0) {
+    return {
+      validEvents: 0,
+      skippedEvents: processedData.length,
+      avgDuration: null,
+      medianDuration: null,
+      minDuration: null,
+      maxDuration: null,
+      maxUnbond: null,
+      avgUtilization: null,
+      maxUtilization: null,
+    };
+  }
+
+  const durations = validData.map(d => d.estimatedDuration).sort((a, b) => a - b);
+  const mid = Math.floor(durations.length / 2);
+  const utilizations = validData.map(d => d.utilizationRatio);
+
+  return {
+    validEvents: validData.length,
+    skippedEvents: processedData.length - validData.length,
+    avgDuration: durations.reduce((sum, d) => sum + d, 0) / durations.length,
+    medianDuration: durations.length % 2 ? durations[mid] : (durations[mid - 1] + durations[mid]) / 2,
+    minDuration: durations[0],
+    maxDuration: durations[durations.length - 1],
+    maxUnbond: Math.max(...validData.map(d => d.unbonded_amount)),
+    avgUtilization: utilizations.reduce((sum, u) => sum + u, 0) / utilizations.length,
+    maxUtilization: Math.max(...utilizations),
+  };
+};
+
+// Columns of the processed table, in export order
+export const EMPIRICAL_OUTPUT_COLUMNS = [
+  'date',
+  'total_stake',
+  'unbonded_amount',
+  'estimatedDuration',
+  'erasPassed',
+  'capacity',
+  'utilizationRatio',
+  'hasFullHistory',
+];
+
+export const formatEmpiricalCsv = (processedData) =>
+  Papa.unparse(processedData, { columns: EMPIRICAL_OUTPUT_COLUMNS });
+
+// One JSON document with the analysis params, summary statistics and processed rows
+export const formatEmpiricalJson = (processedData, params, extra = {}) =>
+  JSON.stringify({ params, ...extra, summary: summarizeEmpiricalData(processedData), rows: processedData }, null, 2);
+
+// Summary statistics as a Markdown table for forum posts and RFC discussions
+export const formatEmpiricalSummaryMarkdown = (summary, tokenSymbol = 'DOT') => {
+  const value = (number, suffix = '') =>
+    number === null ? 'N/A' : `${Number.isInteger(number) ? number : number.toFixed(2)}${suffix}`;
+  return [
+    '| Metric | Value |',
+    '| --- | --- |',
+    `| Valid events | ${summary.validEvents} (${summary.skippedEvents} skipped) |`,
+    `| Average duration | ${value(summary.avgDuration, ' eras')} |`,
+    `| Median duration | ${value(summary.medianDuration, ' eras')} |`,
+    `| Duration range | ${value(summary.minDuration)} to ${value(summary.maxDuration, ' eras')} |`,
+    `| Max unbond | ${value(summary.maxUnbond, ` ${tokenSymbol}`)} |`,
+    `| Average utilization | ${value(summary.avgUtilization, '%')} |`,
+    `| Max utilization | ${value(summary.maxUtilization, '%')} |`,
+  ].join('\n');
+};
@@ -0,0 +1,148 @@
+import Papa from 'papaparse';
+import { advanceEras } from './eraEngine.js';
+
+// Wall-clock time for eras. An era lasts SESSIONS_PER_ERA sessions of
+// 24h / ERAS_PER_DAY / SESSIONS_PER_ERA by default; single eras can be set to run longer or
+// shorter in whole sessions, or take exact lengths derived from imported era start times.
+// Start times are counted from one anchor era, and the clock tracks the session reached in
+// the current era, so "now" moves with session-level granularity.
+
+const DAY_MS = 86_400_000;
+const DEFAULT_SESSIONS_PER_ERA = 6;
+
+export const getSessionsPerEra = (networkParams) => networkParams.SESSIONS_PER_ERA ?? DEFAULT_SESSIONS_PER_ERA;
+
+export const getSessionLength = (networkParams) =>
+  DAY_MS / networkParams.ERAS_PER_DAY / getSessionsPerEra(networkParams);
+
+export const getEraLength = (state, era) =>
+  state.eraClock.eraLengths[era] ?? getSessionLength(state.networkParams) * getSessionsPerEra(state.networkParams);
+
+// Sessions in an era, rounding imported lengths to whole sessions (at least one)
+export const getEraSessions = (state, era) =>
+  Math.max(1, Math.round(getEraLength(state, era) / getSessionLength(state.networkParams)));
+
+// Cumulative era start times, shared by every state with the same anchor, era lengths and
+// network params. `forward[i]` is the start of anchorEra + i, `backward[i]` of anchorEra - i;
+// both grow on demand.
+const startTimeCache = new WeakMap();
+
+const getStartTimes = (state) => {
+  const { anchorEra, anchorTime, eraLengths } = state.eraClock;
+  const cached = startTimeCache.get(eraLengths);
+  if (cached?.anchorEra === anchorEra && cached.anchorTime === anchorTime && cached.networkParams === state.networkParams) {
+    return cached;
+  }
+  const starts = { anchorEra, anchorTime, networkParams: state.networkParams, forward: [anchorTime], backward: [anchorTime] };
+  startTimeCache.set(eraLengths, starts);
+  return starts;
+};
+
+// Start time of an era; fractional eras fall proportionally into the era they land in
+export const getEraStartTime = (state, era) => {
+  const { anchorEra, forward, backward } = getStartTimes(state);
+  const wholeEra = Math.floor(era);
+  const offset = wholeEra - anchorEra;
+  while (forward.length <= offset) {
+    forward.push(forward[forward.length - 1] + getEraLength(state, anchorEra + forward.length - 1));
+  }
+  while (backward.length <= -offset) {
+    backward.push(backward[backward.length - 1] - getEraLength(state, anchorEra - backward.length));
+  }
+  const time = offset >= 0 ? forward[offset] : backward[-offset];
+  return time + (era - wholeEra) * getEraLength(state, wholeEra);
+};
+
+export const getCurrentTime = (state) =>
+  getEraStartTime(state, state.currentEra) +
+  Math.min(
+    state.eraClock.currentSession * getSessionLength(state.networkParams),
+    getEraLength(state, state.currentEra)
+  );
+
+// Time at which a wait of `eras` from the current era ends (the start of the era it reaches)
+export const getTimeAfterEras = (state, eras) => getEraStartTime(state, state.currentEra + eras);
+
+const updateClock = (state, update) => ({ ...state, eraClock: { ...state.eraClock, ...update } });
+
+// Set an era's length in sessions; the current era can't end before the session already reached
+export const setEraLength = (state, era, sessions) => {
+  if (!Number.isInteger(era) || !Number.isInteger(sessions) || sessions < 1) return state;
+  if (era < state.currentEra || (era === state.currentEra && sessions <= state.eraClock.currentSession)) return state;
+
+  return updateClock(state, {
+    eraLengths: { ...state.eraClock.eraLengths, [era]: sessions * getSessionLength(state.networkParams) },
+  });
+};
+
+// Advance by sessions, moving into the next era whenever the current one runs out
+export const advanceSessions = (state, sessions, lowestThirdStake) => {
+  let next = state;
+  let remaining = sessions;
+  while (remaining > 0) {
+    const left = Math.max(1, getEraSessions(next, next.currentEra) - next.eraClock.currentSession);
+    if (remaining < left) {
+      return updateClock(next, { currentSession: next.eraClock.currentSession + remaining });
+    }
+    remaining -= left;
+    next = advanceEras(next, 1, lowestThirdStake);
+  }
+  return next;
+};
+
+// Anchor the clock on observed era start times (`{ [era]: time }`): the earliest era becomes
+// the anchor and each era followed by a known start takes the exact observed length
+export const loadEraStartTimes = (state, starts) => {
+  const eras = Object.keys(starts).map(Number).sort((a, b) => a - b);
+  if (eras.length === 0) return state;
+
+  const eraLengths = { ...state.eraClock.eraLengths };
+  eras.forEach((era, i) => {
+    const nextEra = eras[i + 1];
+    if (nextEra === era + 1 && starts[nextEra] > starts[era]) {
+      eraLengths[era] = starts[nextEra] - starts[era];
+    }
+  });
+  return updateClock(state, { anchorEra: eras[0], anchorTime: starts[eras[0]], eraLengths });
+};
+
+const parseTime = (era, value) => {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid start time for era ${era}: ${value}`);
+  }
+  return time;
+};
+
+// Parse era start times into `{ [era]: time }` (milliseconds). Accepted formats:
+//   JSON object  { "1520": "2024-06-01T14:00:00Z", ... } (ISO strings or millisecond timestamps)
+//   JSON array   [{ "era": 1520, "start": ... }, ...]
+//   CSV          era,start
+export const parseEraStartTimes = (text) => {
+  const trimmed = text.trim();
+  const starts = {};
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    const entries = Array.isArray(parsed) ? parsed.map(entry => [entry.era, entry.start]) : Object.entries(parsed);
+    entries.forEach(([era, value]) => {
+      if (!Number.isInteger(Number(era))) {
+        throw new Error(`Invalid era ${era}`);
+      }
+      starts[Number(era)] = parseTime(era, value);
+    });
+    return starts;
+  }
+
+  const parsed = Papa.parse(trimmed, { header: true, skipEmptyLines: true });
+  if (!parsed.meta.fields?.includes('era') || !parsed.meta.fields?.includes('start')) {
+    throw new Error('CSV era times need "era" and "start" columns');
+  }
+  parsed.data.forEach(row => {
+    const era = Number(row.era);
+    if (!Number.isInteger(era)) return;
+    const numeric = Number(row.start);
+    starts[era] = parseTime(era, Number.isFinite(numeric) ? numeric : row.start);
+  });
+  return starts;
+};
@@ -0,0 +1,649 @@
+import { computeLowestThirdStake } from './validators.js';
+import { NETWORK_PRESETS } from './networks.js';
+
+// Headless era-based unbonding engine (RFC-0097, updated era-based spec).
+//
+// All functions are pure: they take an explicit engine state and return either
+// a derived value or a new state object. Nothing here depends on React, so the
+// same rules can be driven from the UI, from Node scripts or from other tools.
+
+export const DEFAULT_NETWORK_PARAMS = NETWORK_PRESETS.polkadot.params;
+
+export const DEFAULT_LOWEST_THIRD_STAKE = 229_600_000; // Default based on 800M total * 0.287
+
+// Fixed wall-clock start of the current era for states built without one, so a state and
+// every replay from it read the same calendar times
+export const DEFAULT_ERA_START = Date.UTC(2024, 0, 1);
+
+export const DEFAULT_STAKER_ID = 1;
+export const DEFAULT_STAKER_BONDED = 1_000_000;
+
+// Staking ledger: bonded = active + unlocking, free holds withdrawn stake
+export const createStaker = (id, name, bonded) => ({
+  id,
+  name,
+  bonded,
+  active: bonded,
+  free: 0,
+});
+
+// Build a fresh engine state with a full era window ending at `currentEra`
+export const createEngineState = ({
+  networkParams = DEFAULT_NETWORK_PARAMS,
+  lowestThirdStake = DEFAULT_LOWEST_THIRD_STAKE,
+  currentEra = networkParams.BONDING_DURATION - 1,
+  stakers = [createStaker(DEFAULT_STAKER_ID, 'You', DEFAULT_STAKER_BONDED)],
+  // Wall-clock start of `currentEra`, recorded as the era clock's anchor
+  currentEraStart = DEFAULT_ERA_START,
+} = {}) => {
+  // Era-based state (last BONDING_DURATION eras) - this is the key new storage model
+  const eraData = {};
+  const oldestEra = currentEra - (networkParams.BONDING_DURATION - 1);
+  for (let era = oldestEra; era <= currentEra; era++) {
+    eraData[era] = {
+      lowest_third_stake: lowestThirdStake,
+      total_unbond_in_era: 0,
+    };
+  }
+
+  return {
+    networkParams: { ...networkParams },
+    eraData,
+    currentEra,
+    timeAdvanced: 0,
+    // Lowest-third stake derived from validator backing snapshots, keyed by era
+    lowestThirdSnapshots: {},
+    // Staking ledgers sharing the era totals above
+    stakers,
+    nextStakerId: Math.max(0, ...stakers.map(s => s.id)) + 1,
+    // Individual UnlockChunks - new format per updated RFC, tagged with their stakerId
+    unlockChunks: [],
+    nextChunkId: 1,
+    // History of chunks that left their ledger through withdraw_unbonded
+    withdrawnChunks: [],
+    // Reported slashes, pending until their apply era and then applied
+    slashes: [],
+    nextSlashId: 1,
+    // Nomination pools, each bonding through one ledger in `stakers`
+    pools: [],
+    nextPoolId: 1,
+    // Ledgers that left through fast unstake instead of the unbonding queue
+    fastUnstakes: [],
+    // Wall-clock anchor, era lengths that differ from the default, and the session reached
+    // in the current era (see eraClock.js)
+    eraClock: { anchorEra: currentEra, anchorTime: currentEraStart, eraLengths: {}, currentSession: 0 },
+  };
+};
+
+// Calculate max unstake per era
+export const getMaxUnstakeForEra = (state, era) => {
+  const lowestThirdStake = state.eraData[era]?.lowest_third_stake || 0;
+  return (1 - state.networkParams.MIN_SLASHABLE_SHARE) * lowestThirdStake;
+};
+
+// Backward threshold scan (R algorithm) shared by canWithdraw, the estimates and the wait
+// explanation. From the current era back over BONDING_DURATION eras, but not past
+// `oldestEra`, each step sums the unbonding from its lookback era through the current era and
+// checks it against (1 - MIN_SLASHABLE_SHARE) × that era's lowest-third stake; the scan stops
+// at the first failing era. `unbondingInEra(era)` is each era's contribution to the window sum.
+const scanThresholds = (state, oldestEra, unbondingInEra) => {
+  const { networkParams, eraData, currentEra } = state;
+  const steps = [];
+  let sumWindow = 0;
+
+  for (let k = 1; k <= networkParams.BONDING_DURATION; k++) {
+    const lookbackEra = currentEra - k + 1;
+    if (lookbackEra < oldestEra) break;
+
+    sumWindow += unbondingInEra(lookbackEra);
+    const lowestThirdStake = eraData[lookbackEra]?.lowest_third_stake || 0;
+    const threshold = (1 - networkParams.MIN_SLASHABLE_SHARE) * lowestThirdStake;
+    const passed = sumWindow <= threshold;
+    steps.push({ lookbackEra, sumWindow, lowestThirdStake, threshold, passed });
+    if (!passed) break;
+  }
+
+  return { steps, erasPassed: steps.filter(step => step.passed).length };
+};
+
+// Era totals as a chunk sees them: in its start era only the unbonding up to and including the
+// chunk counts, so later unbonds in that era don't delay it
+const chunkUnbondingInEra = (state, chunk) => (era) => {
+  const total = state.eraData[era]?.total_unbond_in_era || 0;
+  return era === chunk.unbonding_start_era
+    ? Math.min(total, chunk.previous_unbonded_stake_in_era + chunk.unbonding_amount)
+    : total;
+};
+
+const isOutsideWindow = (state, chunk) =>
+  chunk.unbonding_start_era < state.currentEra - (state.networkParams.BONDING_DURATION - 1);
+
+// Wait from the current era given the eras that passed the scan: window_size - e, with minimum delay
+const waitFromScan = (state, chunk, erasPassed) => Math.max(
+  state.networkParams.BONDING_DURATION - erasPassed,
+  state.networkParams.MIN_UNBONDING_ERAS,
+  chunk.unbonding_start_era + state.networkParams.MIN_UNBONDING_ERAS - state.currentEra
+);
+
+// Core RFC withdrawal check: every lookback era from the current era back to the chunk's
+// start era must pass the scan
+export const canWithdraw = (state, chunk) => {
+  const { networkParams, currentEra } = state;
+  const { unbonding_start_era } = chunk;
+
+  // Check minimum time requirement
+  if (currentEra < unbonding_start_era + networkParams.MIN_UNBONDING_ERAS) {
+    return { canWithdraw: false, reason: `Must wait ${networkParams.MIN_UNBONDING_ERAS} eras minimum` };
+  }
+
+  // Withdrawals are blocked while a deferred slash against the staker is pending
+  const pendingSlash = getPendingSlashes(state, chunk.stakerId)[0];
+  if (pendingSlash) {
+    return { canWithdraw: false, reason: `Slash pending until era ${pendingSlash.applyEra}` };
+  }
+
+  // If chunk started before our era window, can withdraw
+  if (isOutsideWindow(state, chunk)) {
+    return { canWithdraw: true, reason: 'Outside bonding duration window' };
+  }
+
+  const { steps, erasPassed } = scanThresholds(state, unbonding_start_era, chunkUnbondingInEra(state, chunk));
+  const failed = steps.find(step => !step.passed);
+  if (failed) {
+    return {
+      canWithdraw: false,
+      reason: `Threshold exceeded at era ${failed.lookbackEra}`,
+      estimatedErasRemaining: waitFromScan(state, chunk, erasPassed),
+    };
+  }
+
+  return { canWithdraw: true, reason: 'All threshold checks passed' };
+};
+
+// Estimate unbonding time for existing chunk (R-style algorithm), counted from the current era
+export const estimateUnbondingTime = (state, chunk) => {
+  // If chunk started before our era window, can withdraw after minimum delay
+  if (isOutsideWindow(state, chunk)) {
+    return Math.max(0, chunk.unbonding_start_era + state.networkParams.MIN_UNBONDING_ERAS - state.currentEra);
+  }
+
+  const { erasPassed } = scanThresholds(state, chunk.unbonding_start_era, chunkUnbondingInEra(state, chunk));
+  return waitFromScan(state, chunk, erasPassed);
+};
+
+// Step-by-step trace of the scan behind canWithdraw and estimateUnbondingTime. Each step
+// records the window sum from its lookback era to the current era, how much the chunk's start
+// era contributed to it, and the threshold that era was checked against.
+export const explainUnbondingTime = (state, chunk) => {
+  const { networkParams, eraData, currentEra } = state;
+  const { unbonding_amount, unbonding_start_era, previous_unbonded_stake_in_era } = chunk;
+  const minimumWait = unbonding_start_era + networkParams.MIN_UNBONDING_ERAS - currentEra;
+  const pendingSlash = getPendingSlashes(state, chunk.stakerId)[0] ?? null;
+
+  if (isOutsideWindow(state, chunk)) {
+    return {
+      outsideWindow: true,
+      steps: [],
+      erasPassed: null,
+      minimumWait,
+      pendingSlash,
+      estimatedWait: estimateUnbondingTime(state, chunk),
+    };
+  }
+
+  const unbondingInEra = chunkUnbondingInEra(state, chunk);
+  const { steps, erasPassed } = scanThresholds(state, unbonding_start_era, unbondingInEra);
+  return {
+    outsideWindow: false,
+    steps: steps.map(step => ({
+      ...step,
+      startEraContribution: step.lookbackEra === unbonding_start_era ? unbondingInEra(unbonding_start_era) : null,
+    })),
+    startEraTotal: eraData[unbonding_start_era]?.total_unbond_in_era || 0,
+    startEraCap: previous_unbonded_stake_in_era + unbonding_amount,
+    erasPassed,
+    minimumWait,
+    pendingSlash,
+    estimatedWait: waitFromScan(state, chunk, erasPassed),
+  };
+};
+
+// Estimate unbonding time for prospective unbonder (R-style algorithm)
+export const estimateNewUnbondingTime = (state, unbond_amount) => {
+  const { networkParams, eraData, currentEra } = state;
+
+  // The request joins the current era's total
+  const { erasPassed } = scanThresholds(state, 0, (era) =>
+    (eraData[era]?.total_unbond_in_era || 0) + (era === currentEra ? unbond_amount : 0)
+  );
+
+  // Duration calculation: window_size - e, with minimum delay
+  return Math.max(
+    networkParams.BONDING_DURATION - erasPassed,
+    networkParams.MIN_UNBONDING_ERAS
+  );
+};
+
+// Look up a staker's ledger
+export const getStaker = (state, stakerId) => state.stakers.find(s => s.id === stakerId);
+
+// Pending unlocking chunks belonging to a staker
+export const getStakerChunks = (state, stakerId) =>
+  state.unlockChunks.filter(c => c.stakerId === stakerId && c.status === 'pending');
+
+const updateStaker = (stakers, stakerId, update) =>
+  stakers.map(s => s.id === stakerId ? { ...s, ...update(s) } : s);
+
+// Register a new staker with `bonded` fully active
+export const addStaker = (state, name, bonded) => {
+  if (!name || bonded <= 0) return state;
+  return {
+    ...state,
+    stakers: [...state.stakers, createStaker(state.nextStakerId, name, bonded)],
+    nextStakerId: state.nextStakerId + 1,
+  };
+};
+
+// Check whether a staker may unbond `amount` in the current era
+export const canUnbond = (state, stakerId, amount) => {
+  const staker = getStaker(state, stakerId);
+  if (!staker) return { canUnbond: false, reason: 'Unknown staker' };
+  if (amount <= 0) return { canUnbond: false, reason: 'Amount must be positive' };
+  if (amount > staker.active) {
+    return { canUnbond: false, reason: `Only ${staker.active} active stake available` };
+  }
+
+  // A chunk started in the current era is merged into, so it doesn't count against the cap
+  const chunks = getStakerChunks(state, stakerId);
+  const mergesIntoExisting = chunks.some(c => c.unbonding_start_era === state.currentEra);
+  if (!mergesIntoExisting && chunks.length >= state.networkParams.MAX_UNLOCKING_CHUNKS) {
+    return {
+      canUnbond: false,
+      reason: `MaxUnlockingChunks (${state.networkParams.MAX_UNLOCKING_CHUNKS}) reached - withdraw first`
+    };
+  }
+
+  return { canUnbond: true, reason: mergesIntoExisting ? 'Merges into this era\'s chunk' : 'New chunk' };
+};
+
+// Add new unbonding request in the current era for a staker
+export const addUnbondingRequest = (state, amount, stakerId = DEFAULT_STAKER_ID) => {
+  // Pool ledgers only change through their members
+  if (getStaker(state, stakerId)?.poolId !== undefined) return state;
+  return unbondLedger(state, amount, stakerId);
+};
+
+// Book an unbond on any ledger, pool ledgers included; unbondFromPool calls this directly
+export const unbondLedger = (state, amount, stakerId) => {
+  if (!canUnbond(state, stakerId, amount).canUnbond) return state;
+
+  const { eraData, currentEra } = state;
+  const previous_unbonded_stake_in_era = eraData[currentEra]?.total_unbond_in_era || 0;
+
+  // Chunks started in the same era are merged, keeping the earlier previous_unbonded snapshot
+  const existing = getStakerChunks(state, stakerId).find(c => c.unbonding_start_era === currentEra);
+  const newChunk = existing
+    ? { ...existing, unbonding_amount: existing.unbonding_amount + amount }
+    : {
+      id: state.nextChunkId,
+      stakerId,
+      unbonding_amount: amount,
+      unbonding_start_era: currentEra,
+      previous_unbonded_stake_in_era,
+      status: 'pending',
+    };
+
+  const nextState = {
+    ...state,
+    eraData: {
+      ...eraData,
+      [currentEra]: {
+        ...eraData[currentEra],
+        total_unbond_in_era: previous_unbonded_stake_in_era + amount
+      }
+    },
+    stakers: updateStaker(state.stakers, stakerId, s => ({ active: s.active - amount })),
+    nextChunkId: existing ? state.nextChunkId : state.nextChunkId + 1,
+  };
+
+  // Record the prediction at request time so it can be compared with the actual wait
+  newChunk.predicted_wait = estimateUnbondingTime(nextState, newChunk);
+
+  const unlockChunks = existing
+    ? state.unlockChunks.map(c => c.id === existing.id ? newChunk : c)
+    : [...state.unlockChunks, newChunk];
+
+  return { ...nextState, unlockChunks };
+};
+
+// Rebond functionality per updated RFC
+export const rebondChunk = (state, chunkId, rebond_amount) => {
+  const { networkParams, currentEra } = state;
+  const chunk = state.unlockChunks.find(c => c.id === chunkId);
+  if (!chunk || chunk.status !== 'pending') return state;
+  // Pool ledgers only change through their members
+  if (getStaker(state, chunk.stakerId)?.poolId !== undefined) return state;
+
+  const actualRebond = Math.min(rebond_amount, chunk.unbonding_amount);
+  const newAmount = chunk.unbonding_amount - actualRebond;
+
+  // Update era data - subtract from total_unbond_in_era if within the bonding window
+  let eraData = state.eraData;
+  if (chunk.unbonding_start_era >= currentEra - (networkParams.BONDING_DURATION - 1)) {
+    eraData = {
+      ...eraData,
+      [chunk.unbonding_start_era]: {
+        ...eraData[chunk.unbonding_start_era],
+        total_unbond_in_era: Math.max(0,
+          (eraData[chunk.unbonding_start_era]?.total_unbond_in_era || 0) - actualRebond
+        )
+      }
+    };
+  }
+
+  // Remove chunk if fully rebonded, otherwise reduce amount
+  const unlockChunks = state.unlockChunks
+    .map(c => c.id !== chunkId ? c : newAmount <= 0 ? null : { ...c, unbonding_amount: newAmount })
+    .filter(Boolean);
+
+  const stakers = updateStaker(state.stakers, chunk.stakerId, s => ({ active: s.active + actualRebond }));
+
+  return { ...state, eraData, unlockChunks, stakers };
+};
+
+// Ledger-level rebond: take `rebond_amount` from the staker's newest unlocking chunks
+// first, splitting the last chunk touched. Era totals are updated through rebondChunk.
+export const rebondLedger = (state, rebond_amount, stakerId = DEFAULT_STAKER_ID) => {
+  const newestFirst = getStakerChunks(state, stakerId)
+    .sort((a, b) => b.unbonding_start_era - a.unbonding_start_era || b.id - a.id);
+
+  let remaining = rebond_amount;
+  let nextState = state;
+  for (const chunk of newestFirst) {
+    if (remaining <= 0) break;
+    const taken = Math.min(remaining, chunk.unbonding_amount);
+    nextState = rebondChunk(nextState, chunk.id, taken);
+    remaining -= taken;
+  }
+
+  return nextState;
+};
+
+// Per-chunk estimated wait before and after a transition, for chunks present in both states
+export const diffEstimatedWaits = (before, after) =>
+  after.unlockChunks
+    .map(chunk => {
+      const previous = before.unlockChunks.find(c => c.id === chunk.id);
+      if (!previous) return null;
+      return {
+        id: chunk.id,
+        before: estimateUnbondingTime(before, previous),
+        after: estimateUnbondingTime(after, chunk),
+      };
+    })
+    .filter(Boolean);
+
+// History entry for a chunk leaving the ledger in the current era
+const toWithdrawnRecord = (state, chunk) => ({
+  ...chunk,
+  status: 'withdrawn',
+  withdrawn_era: state.currentEra,
+  actual_wait: state.currentEra - chunk.unbonding_start_era,
+});
+
+// Remove withdrawn chunks and move their stake from bonded to free per staker
+const applyWithdrawals = (state, chunks) => {
+  const withdrawnIds = new Set(chunks.map(c => c.id));
+  let stakers = state.stakers;
+  chunks.forEach(chunk => {
+    stakers = updateStaker(stakers, chunk.stakerId, s => ({
+      bonded: s.bonded - chunk.unbonding_amount,
+      free: s.free + chunk.unbonding_amount,
+    }));
+  });
+
+  return {
+    ...state,
+    unlockChunks: state.unlockChunks.filter(c => !withdrawnIds.has(c.id)),
+    stakers,
+    withdrawnChunks: [...state.withdrawnChunks, ...chunks.map(c => toWithdrawnRecord(state, c))],
+  };
+};
+
+// Withdraw a single chunk (withdraw_unbonded) if it passes canWithdraw
+export const withdrawChunk = (state, chunkId) => {
+  const chunk = state.unlockChunks.find(c => c.id === chunkId);
+  if (!chunk || chunk.status !== 'pending' || !canWithdraw(state, chunk).canWithdraw) return state;
+
+  return applyWithdrawals(state, [chunk]);
+};
+
+// Withdraw every eligible chunk of one staker's ledger, or of all ledgers when no staker is given
+export const withdrawAllEligible = (state, stakerId) => {
+  const eligible = state.unlockChunks.filter(c =>
+    c.status === 'pending' &&
+    (stakerId === undefined || c.stakerId === stakerId) &&
+    canWithdraw(state, c).canWithdraw
+  );
+  if (eligible.length === 0) return state;
+
+  return applyWithdrawals(state, eligible);
+};
+
+// Switch network parameters, resizing the era window around the current era.
+// Eras still inside the new window keep their data; new ones get `lowestThirdStake`.
+export const setNetworkParams = (state, networkParams, lowestThirdStake) => {
+  const resized = {};
+  const oldestEra = state.currentEra - (networkParams.BONDING_DURATION - 1);
+  for (let era = oldestEra; era <= state.currentEra; era++) {
+    resized[era] = state.eraData[era] ?? {
+      lowest_third_stake: state.lowestThirdSnapshots[era] ?? lowestThirdStake,
+      total_unbond_in_era: 0,
+    };
+  }
+
+  return setLowestThirdStake({ ...state, networkParams: { ...networkParams }, eraData: resized }, lowestThirdStake);
+};
+
+// Advance time by eras, maintaining the sliding window of BONDING_DURATION eras.
+// Newly created eras get `lowestThirdStake` as their threshold base.
+export const advanceEras = (state, eras, lowestThirdStake) => {
+  const { networkParams, eraData } = state;
+  const newEra = state.currentEra + eras;
+
+  const newEraData = {};
+
+  // Calculate the new era range: [newEra - (BONDING_DURATION - 1), newEra]
+  const oldestEra = newEra - (networkParams.BONDING_DURATION - 1);
+
+  for (let era = oldestEra; era <= newEra; era++) {
+    if (eraData[era]) {
+      // Keep existing era data
+      newEraData[era] = eraData[era];
+    } else {
+      // Create new era, preferring a loaded validator snapshot over the default
+      newEraData[era] = {
+        lowest_third_stake: state.lowestThirdSnapshots[era] ??
+          Math.max(0, lowestThirdStake - getLowestThirdSlashReduction(state, era)),
+        total_unbond_in_era: 0,
+      };
+    }
+  }
+
+  // Stakers flagged as exposed are exposed in every era reached; exposure history only
+  // matters for the fast-unstake lookback, so eras before it are dropped
+  const reachedEras = Array.from({ length: eras }, (_, i) => state.currentEra + i + 1);
+  const oldestExposure = newEra - networkParams.BONDING_DURATION;
+  const stakers = state.stakers.map(s => (s.exposed || s.exposedEras?.length > 0
+    ? {
+      ...s,
+      exposedEras: [...(s.exposedEras ?? []), ...(s.exposed ? reachedEras : [])].filter(era => era >= oldestExposure),
+    }
+    : s));
+
+  return applyDueSlashes({
+    ...state,
+    stakers,
+    eraClock: state.eraClock && { ...state.eraClock, currentSession: 0 },
+    eraData: newEraData,
+    currentEra: newEra,
+    timeAdvanced: state.timeAdvanced + eras,
+  });
+};
+
+// Overwrite lowest_third_stake for every era in the window without a validator snapshot
+export const setLowestThirdStake = (state, lowestThirdStake) => {
+  const eraData = {};
+  Object.keys(state.eraData).forEach(era => {
+    if (state.lowestThirdSnapshots[era] !== undefined) {
+      eraData[era] = state.eraData[era];
+      return;
+    }
+    eraData[era] = {
+      ...state.eraData[era],
+      lowest_third_stake: Math.max(0, lowestThirdStake - getLowestThirdSlashReduction(state, Number(era)))
+    };
+  });
+  return { ...state, eraData };
+};
+
+// Derive lowest_third_stake from per-era validator stakes (`{ [era]: number[] }`).
+// Snapshots for eras not yet in the window are kept and applied when those eras arrive;
+// eras without a snapshot keep their current value.
+export const loadValidatorSnapshots = (state, snapshots) => {
+  const lowestThirdSnapshots = { ...state.lowestThirdSnapshots };
+  Object.entries(snapshots).forEach(([era, stakes]) => {
+    const lowestThirdStake = computeLowestThirdStake(stakes);
+    if (lowestThirdStake !== null) lowestThirdSnapshots[era] = lowestThirdStake;
+  });
+
+  const eraData = { ...state.eraData };
+  Object.keys(eraData).forEach(era => {
+    if (lowestThirdSnapshots[era] !== undefined) {
+      eraData[era] = { ...eraData[era], lowest_third_stake: lowestThirdSnapshots[era] };
+    }
+  });
+
+  return { ...state, eraData, lowestThirdSnapshots };
+};
+
+// Forget loaded snapshots; eras keep their values until the ratio inputs change
+export const clearValidatorSnapshots = (state) => ({ ...state, lowestThirdSnapshots: {} });
+
+// Slashes that have been reported but not yet applied, optionally for one staker
+export const getPendingSlashes = (state, stakerId) =>
+  state.slashes.filter(s =>
+    s.status === 'pending' && (stakerId === undefined || s.stakerIds.includes(stakerId))
+  );
+
+// Stake removed from lowest-third validators by slashes applied at or before `era`
+export const getLowestThirdSlashReduction = (state, era) =>
+  state.slashes
+    .filter(s => s.status === 'applied' && s.affectsLowestThird && s.applyEra <= era)
+    .reduce((sum, s) => sum + s.slashedAmount, 0);
+
+// Report a slash for an offence in `offenceEra`. It stays pending (blocking the
+// affected stakers' withdrawals) for `deferDuration` eras, then is applied.
+export const reportSlash = (state, {
+  offenceEra = state.currentEra,
+  fraction,
+  deferDuration = state.networkParams.SLASH_DEFER_DURATION,
+  stakerIds = state.stakers.map(s => s.id),
+  affectsLowestThird = false,
+}) => {
+  if (!(fraction > 0 && fraction <= 1) || stakerIds.length === 0) return state;
+
+  const slash = {
+    id: state.nextSlashId,
+    offenceEra,
+    fraction,
+    deferDuration,
+    applyEra: offenceEra + deferDuration,
+    stakerIds,
+    affectsLowestThird,
+    status: 'pending',
+    slashedAmount: 0,
+  };
+
+  return applyDueSlashes({
+    ...state,
+    slashes: [...state.slashes, slash],
+    nextSlashId: state.nextSlashId + 1,
+  });
+};
+
+// Drop a pending slash (e.g. cancelled by governance during the defer period)
+export const cancelSlash = (state, slashId) => ({
+  ...state,
+  slashes: state.slashes.map(s =>
+    s.id === slashId && s.status === 'pending' ? { ...s, status: 'cancelled' } : s
+  ),
+});
+
+// Apply a slash: active stake and every unlocking chunk that was still bonded at the
+// offence era lose `fraction`. Slashed chunk stake no longer counts as exiting stake.
+const applySlash = (state, slash) => {
+  const { networkParams, currentEra } = state;
+  let eraData = state.eraData;
+  let stakers = state.stakers;
+  let slashedAmount = 0;
+
+  const unlockChunks = state.unlockChunks.map(chunk => {
+    if (!slash.stakerIds.includes(chunk.stakerId) || chunk.unbonding_start_era < slash.offenceEra) {
+      return chunk;
+    }
+    const slashed = chunk.unbonding_amount * slash.fraction;
+    slashedAmount += slashed;
+    stakers = updateStaker(stakers, chunk.stakerId, s => ({ bonded: s.bonded - slashed }));
+
+    if (chunk.unbonding_start_era >= currentEra - (networkParams.BONDING_DURATION - 1)) {
+      eraData = {
+        ...eraData,
+        [chunk.unbonding_start_era]: {
+          ...eraData[chunk.unbonding_start_era],
+          total_unbond_in_era: Math.max(0,
+            (eraData[chunk.unbonding_start_era]?.total_unbond_in_era || 0) - slashed
+          )
+        }
+      };
+    }
+    return { ...chunk, unbonding_amount: chunk.unbonding_amount - slashed };
+  });
+
+  slash.stakerIds.forEach(stakerId => {
+    stakers = updateStaker(stakers, stakerId, s => {
+      const slashed = s.active * slash.fraction;
+      slashedAmount += slashed;
+      return { active: s.active - slashed, bonded: s.bonded - slashed };
+    });
+  });
+
+  // A slashed lowest-third validator lowers the threshold base from the apply era on
+  if (slash.affectsLowestThird) {
+    Object.keys(eraData).forEach(era => {
+      if (Number(era) >= slash.applyEra && state.lowestThirdSnapshots[era] === undefined) {
+        eraData = {
+          ...eraData,
+          [era]: {
+            ...eraData[era],
+            lowest_third_stake: Math.max(0, eraData[era].lowest_third_stake - slashedAmount)
+          }
+        };
+      }
+    });
+  }
+
+  return {
+    ...state,
+    eraData,
+    stakers,
+    unlockChunks,
+    slashes: state.slashes.map(s => s.id === slash.id ? { ...s, status: 'applied', slashedAmount } : s),
+  };
+};
+
+// Apply every pending slash whose apply era has been reached
+const applyDueSlashes = (state) =>
+  state.slashes
+    .filter(s => s.status === 'pending' && s.applyEra <= state.currentEra)
+    .reduce((nextState, slash) => applySlash(nextState, slash), state);
@@ -0,0 +1,204 @@
+import {
+  addUnbondingRequest,
+  rebondChunk,
+  rebondLedger,
+  withdrawChunk,
+  withdrawAllEligible,
+  advanceEras,
+  addStaker,
+  setLowestThirdStake,
+  setNetworkParams,
+  loadValidatorSnapshots,
+  clearValidatorSnapshots,
+  reportSlash,
+  cancelSlash,
+} from './eraEngine.js';
+import { createPool, joinPool, unbondFromPool, withdrawFromPool } from './pools.js';
+import { setExposure, fastUnstake } from './fastUnstake.js';
+import { advanceSessions, setEraLength, loadEraStartTimes } from './eraClock.js';
+
+// Event log over the engine: every action is recorded as a plain event, and the
+// simulator state at any point is rebuilt by replaying events from the initial state.
+// A cursor marks how many events are applied, which gives undo/redo and time travel.
+
+// Apply one recorded event to an engine state
+export const applyEvent = (state, event) => {
+  switch (event.type) {
+    case 'unbond':
+      return addUnbondingRequest(state, event.amount, event.stakerId);
+    case 'rebond':
+      return rebondChunk(state, event.chunkId, event.amount);
+    case 'rebondLedger':
+      return rebondLedger(state, event.amount, event.stakerId);
+    case 'withdraw':
+      return withdrawChunk(state, event.chunkId);
+    case 'withdrawAll':
+      return withdrawAllEligible(state, event.stakerId);
+    case 'advance':
+      return advanceEras(state, event.eras, event.lowestThirdStake);
+    case 'addStaker':
+      return addStaker(state, event.name, event.bonded);
+    case 'setStakeConfig':
+      return setLowestThirdStake(state, event.lowestThirdRatio * event.totalStakedDOT);
+    case 'setNetwork':
+      return setNetworkParams(state, event.networkParams, event.lowestThirdRatio * event.totalStakedDOT);
+    case 'loadSnapshots':
+      return loadValidatorSnapshots(state, event.snapshots);
+    case 'clearSnapshots':
+      return clearValidatorSnapshots(state);
+    case 'reportSlash':
+      return reportSlash(state, event.slash);
+    case 'cancelSlash':
+      return cancelSlash(state, event.slashId);
+    case 'createPool':
+      return createPool(state, event.name, event.depositor, event.deposit);
+    case 'joinPool':
+      return joinPool(state, event.poolId, event.name, event.amount);
+    case 'poolUnbond':
+      return unbondFromPool(state, event.poolId, event.memberId, event.amount);
+    case 'poolWithdraw':
+      return withdrawFromPool(state, event.poolId, event.memberId);
+    case 'setExposure':
+      return setExposure(state, event.stakerId, event.exposed);
+    case 'fastUnstake':
+      return fastUnstake(state, event.stakerId);
+    case 'advanceSessions':
+      return advanceSessions(state, event.sessions, event.lowestThirdStake);
+    case 'setEraLength':
+      return setEraLength(state, event.era, event.sessions);
+    case 'loadEraTimes':
+      return loadEraStartTimes(state, event.starts);
+    default:
+      throw new Error(`Unknown event type "${event.type}"`);
+  }
+};
+
+// Config inputs that live outside the engine state but are recorded by events
+const applyConfigEvent = (config, event) =>
+  event.type === 'setStakeConfig' || event.type === 'setNetwork'
+    ? { ...config, totalStakedDOT: event.totalStakedDOT, lowestThirdRatio: event.lowestThirdRatio }
+    : config;
+
+export const createHistory = (initialState, initialConfig = {}) => ({
+  initialState,
+  initialConfig,
+  events: [],
+  cursor: 0,
+});
+
+// Record a new event at the cursor; events previously undone are discarded
+export const recordEvent = (history, event) => ({
+  ...history,
+  events: [...history.events.slice(0, history.cursor), event],
+  cursor: history.cursor + 1,
+});
+
+export const seekHistory = (history, cursor) => ({
+  ...history,
+  cursor: Math.max(0, Math.min(history.events.length, cursor)),
+});
+
+export const undo = (history) => seekHistory(history, history.cursor - 1);
+
+export const redo = (history) => seekHistory(history, history.cursor + 1);
+
+// Rebuild engine state and config after the first `cursor` events
+export const replayHistory = (history, cursor = history.cursor) =>
+  history.events.slice(0, cursor).reduce(
+    ({ state, config }, event) => ({ state: applyEvent(state, event), config: applyConfigEvent(config, event) }),
+    { state: history.initialState, config: history.initialConfig }
+  );
+
+// Replay of the whole log that keeps the state and config after every event: `steps[i]` holds
+// them after i events. Given the previous replay, only events past the prefix both logs share
+// are applied again, so appending an event or moving the cursor doesn't replay the log.
+// `observe(observed, state, eventIndex)` folds a per-step result alongside, e.g. the invariant
+// monitor; it is called with `observed` undefined and eventIndex null for the initial state.
+export const updateReplay = (replay, history, observe = () => null) => {
+  const reusable = replay &&
+    replay.initialState === history.initialState &&
+    replay.initialConfig === history.initialConfig &&
+    replay.observe === observe;
+  let shared = 0;
+  if (reusable) {
+    while (shared < history.events.length && replay.events[shared] === history.events[shared]) shared++;
+  }
+
+  const steps = reusable
+    ? replay.steps.slice(0, shared + 1)
+    : [{
+      state: history.initialState,
+      config: history.initialConfig,
+      observed: observe(undefined, history.initialState, null),
+    }];
+  for (let index = shared; index < history.events.length; index++) {
+    const previous = steps[index];
+    const event = history.events[index];
+    const state = applyEvent(previous.state, event);
+    steps.push({ state, config: applyConfigEvent(previous.config, event), observed: observe(previous.observed, state, index) });
+  }
+
+  return {
+    initialState: history.initialState,
+    initialConfig: history.initialConfig,
+    observe,
+    events: history.events,
+    steps,
+  };
+};
+
+// Era reached after each prefix of the log: entry i is the era after i events
+export const getHistoryTimeline = (history, replay = updateReplay(null, history)) =>
+  replay.steps.map(step => step.state.currentEra);
+
+// One-line description of an event for the log view
+export const describeEvent = (event) => {
+  switch (event.type) {
+    case 'unbond':
+      return `Unbond ${event.amount} (staker ${event.stakerId})`;
+    case 'rebond':
+      return `Rebond ${event.amount} from chunk #${event.chunkId}`;
+    case 'rebondLedger':
+      return `Rebond ${event.amount} newest-first (staker ${event.stakerId})`;
+    case 'withdraw':
+      return `Withdraw chunk #${event.chunkId}`;
+    case 'withdrawAll':
+      return event.stakerId === undefined ? 'Withdraw all eligible' : `Withdraw all eligible (staker ${event.stakerId})`;
+    case 'advance':
+      return `Advance ${event.eras} era${event.eras === 1 ? '' : 's'}`;
+    case 'addStaker':
+      return `Add staker ${event.name} with ${event.bonded} bonded`;
+    case 'setStakeConfig':
+      return `Set total stake ${event.totalStakedDOT}, lowest-third ratio ${event.lowestThirdRatio}`;
+    case 'setNetwork':
+      return `Switch to ${event.networkParams.name} (${event.networkParams.BONDING_DURATION} era window)`;
+    case 'loadSnapshots':
+      return `Load validator snapshots for ${Object.keys(event.snapshots).length} eras`;
+    case 'clearSnapshots':
+      return 'Clear validator snapshots';
+    case 'reportSlash':
+      return `Report ${(event.slash.fraction * 100).toFixed(1)}% slash for era ${event.slash.offenceEra}`;
+    case 'cancelSlash':
+      return `Cancel slash #${event.slashId}`;
+    case 'createPool':
+      return `Create pool ${event.name} with ${event.deposit} from ${event.depositor}`;
+    case 'joinPool':
+      return `${event.name} joins pool #${event.poolId} with ${event.amount}`;
+    case 'poolUnbond':
+      return `Unbond ${event.amount} from pool #${event.poolId} (member ${event.memberId})`;
+    case 'poolWithdraw':
+      return `Withdraw from pool #${event.poolId} (member ${event.memberId})`;
+    case 'setExposure':
+      return `${event.exposed ? 'Expose' : 'Stop exposing'} staker ${event.stakerId}`;
+    case 'fastUnstake':
+      return `Fast unstake (staker ${event.stakerId})`;
+    case 'advanceSessions':
+      return `Advance ${event.sessions} session${event.sessions === 1 ? '' : 's'}`;
+    case 'setEraLength':
+      return `Set era ${event.era} to ${event.sessions} sessions`;
+    case 'loadEraTimes':
+      return `Load start times for ${Object.keys(event.starts).length} eras`;
+    default:
+      return event.type;
+  }
+};
@@ -0,0 +1,96 @@
+import { getStaker, getStakerChunks, getPendingSlashes } from './eraEngine.js';
+
+// Fast unstake: a nominator that was not exposed in any of the last BONDING_DURATION eras
+// cannot be slashed for them, so its whole active stake is unbonded and withdrawn at once
+// without passing through the era queue. Fast-unstaked stake is tracked per era as
+// fast_unstake_in_era and never counts towards total_unbond_in_era.
+//
+// Each staker carries an exposure history (`exposedEras`). A staker flagged `exposed`
+// (backing an active validator) is exposed in the current era and every era reached
+// while the flag stays set.
+
+export const getExposedEras = (staker) => staker?.exposedEras ?? [];
+
+// Eras checked before a fast unstake, following pallet-fast-unstake: current era back to
+// current era - BONDING_DURATION
+export const getFastUnstakeLookback = (state) => ({
+  fromEra: state.currentEra - state.networkParams.BONDING_DURATION,
+  toEra: state.currentEra,
+});
+
+// Start or stop backing an active validator. The current era's exposure follows the flag.
+export const setExposure = (state, stakerId, exposed) => {
+  const staker = getStaker(state, stakerId);
+  if (!staker || staker.poolId !== undefined) return state;
+
+  const past = getExposedEras(staker).filter(era => era !== state.currentEra);
+  const exposedEras = exposed ? [...past, state.currentEra] : past;
+  return {
+    ...state,
+    stakers: state.stakers.map(s => (s.id === stakerId ? { ...s, exposed, exposedEras } : s)),
+  };
+};
+
+// Check whether a staker may fast unstake in the current era
+export const canFastUnstake = (state, stakerId) => {
+  const staker = getStaker(state, stakerId);
+  if (!staker) return { canFastUnstake: false, reason: 'Unknown staker' };
+  if (staker.poolId !== undefined) {
+    return { canFastUnstake: false, reason: 'Pool ledgers unbond through their members' };
+  }
+  if (staker.active <= 0) return { canFastUnstake: false, reason: 'No active stake' };
+  if (getStakerChunks(state, stakerId).length > 0) {
+    return { canFastUnstake: false, reason: 'Ledger has unlocking chunks; fast unstake needs a fully bonded ledger' };
+  }
+  if (getPendingSlashes(state, stakerId).length > 0) {
+    return { canFastUnstake: false, reason: 'A pending slash affects this staker' };
+  }
+
+  const { fromEra, toEra } = getFastUnstakeLookback(state);
+  const exposed = getExposedEras(staker).filter(era => era >= fromEra && era <= toEra);
+  if (exposed.length > 0) {
+    return {
+      canFastUnstake: false,
+      reason: `Exposed in era ${Math.max(...exposed)}, within eras ${fromEra}..${toEra}`,
+      lastExposedEra: Math.max(...exposed),
+    };
+  }
+
+  return { canFastUnstake: true, reason: `Not exposed in eras ${fromEra}..${toEra}` };
+};
+
+// Unbond and withdraw a staker's whole active stake in the current era, bypassing the queue
+export const fastUnstake = (state, stakerId) => {
+  if (!canFastUnstake(state, stakerId).canFastUnstake) return state;
+
+  const staker = getStaker(state, stakerId);
+  const amount = staker.active;
+  const era = state.currentEra;
+  const eraData = state.eraData[era];
+
+  return {
+    ...state,
+    stakers: state.stakers.map(s => (s.id === stakerId
+      ? { ...s, bonded: s.bonded - amount, active: 0, free: s.free + amount, exposed: false }
+      : s)),
+    eraData: {
+      ...state.eraData,
+      [era]: { ...eraData, fast_unstake_in_era: (eraData.fast_unstake_in_era || 0) + amount },
+    },
+    fastUnstakes: [...state.fastUnstakes, { stakerId, amount, era }],
+  };
+};
+
+// Exit flow split between the unbonding queue (pending and withdrawn chunks) and fast unstakes
+export const summarizeExitFlow = (state) => {
+  const queued = [...state.unlockChunks, ...state.withdrawnChunks]
+    .reduce((sum, chunk) => sum + chunk.unbonding_amount, 0);
+  const fastUnstaked = state.fastUnstakes.reduce((sum, entry) => sum + entry.amount, 0);
+  const total = queued + fastUnstaked;
+  return {
+    queued,
+    fastUnstaked,
+    fastUnstakeCount: state.fastUnstakes.length,
+    queueShare: total > 0 ? queued / total : null,
+  };
+};
@@ -0,0 +1,20 @@
+// Public entry point for the headless unbonding engine
+export * from './eraEngine.js';
+export * from './empirical.js';
+export * from './stats.js';
+export * from './monteCarlo.js';
+export * from './validators.js';
+export * from './scenario.js';
+export * from './eventLog.js';
+export * from './networks.js';
+export * from './csvImport.js';
+export * from './sweep.js';
+export * from './projection.js';
+export * from './invariants.js';
+export * from './conformance.js';
+export * from './adversary.js';
+export * from './advisor.js';
+export * from './pools.js';
+export * from './fastUnstake.js';
+export * from './sequentialQueue.js';
+export * from './eraClock.js';
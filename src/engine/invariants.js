@@ -0,0 +1,101 @@
+import { canWithdraw } from './eraEngine.js';
+import { updateReplay } from './eventLog.js';
+
+// Runtime check of the security promise behind the era rules: for every era L in the
+// current BONDING_DURATION window, the stake unbonded in eras L..currentEra that has
+// already become withdrawable must not exceed (1 - MIN_SLASHABLE_SHARE) * lowest_third_stake[L].
+// Stake counts as exited from the first era its chunk passed canWithdraw, even if it was
+// never withdrawn, since the staker could have left at that point.
+
+// Relative slack so float rounding in era totals is not reported as a violation
+const TOLERANCE = 1e-9;
+
+export const createInvariantMonitor = () => ({ exits: {}, violations: [], transitions: 0 });
+
+// Record chunks that are withdrawable now or were withdrawn, keeping each chunk's first exit era
+const recordExits = (exits, state) => {
+  const next = { ...exits };
+  const record = (chunk, era) => {
+    const previous = next[chunk.id];
+    next[chunk.id] = {
+      chunkId: chunk.id,
+      stakerId: chunk.stakerId,
+      startEra: chunk.unbonding_start_era,
+      amount: chunk.unbonding_amount,
+      exitEra: previous ? Math.min(previous.exitEra, era) : era,
+    };
+  };
+
+  state.unlockChunks.forEach(chunk => {
+    if (chunk.status === 'pending' && (next[chunk.id] || canWithdraw(state, chunk).canWithdraw)) {
+      record(chunk, state.currentEra);
+    }
+  });
+  state.withdrawnChunks.forEach(chunk => record(chunk, chunk.withdrawn_era));
+  return next;
+};
+
+// Window eras whose threshold is exceeded by exited stake, given the exits recorded so far.
+// Scanning back from the current era, an earlier lookback era that breaks the threshold with
+// the same set of chunks repeats the breach already found and is skipped.
+export const findExitViolations = (state, exits) => {
+  const { networkParams, eraData, currentEra } = state;
+  const exited = Object.values(exits).filter(exit => exit.exitEra <= currentEra);
+  const violations = [];
+  let previousKey = null;
+
+  for (let lookbackEra = currentEra; lookbackEra > currentEra - networkParams.BONDING_DURATION; lookbackEra--) {
+    const chunks = exited.filter(exit => exit.startEra >= lookbackEra);
+    const chunkIds = chunks.map(exit => exit.chunkId).sort((a, b) => a - b);
+    const key = chunkIds.join(',');
+    const exitedStake = chunks.reduce((sum, exit) => sum + exit.amount, 0);
+    const threshold = (1 - networkParams.MIN_SLASHABLE_SHARE) * (eraData[lookbackEra]?.lowest_third_stake || 0);
+    if (exitedStake > threshold * (1 + TOLERANCE) && key !== previousKey) {
+      violations.push({ era: currentEra, lookbackEra, exitedStake, threshold, chunkIds, key });
+      previousKey = key;
+    }
+  }
+  return violations;
+};
+
+// Check the state after one transition. Each set of exited chunks is reported once, at the
+// first transition where it breaks a threshold; `eventIndex` is null for the initial state.
+export const observeTransition = (monitor, state, eventIndex = null) => {
+  const exits = recordExits(monitor.exits, state);
+  const reported = new Set(monitor.violations.map(v => v.key));
+  const violations = findExitViolations(state, exits)
+    .filter(v => !reported.has(v.key))
+    .map(v => ({ ...v, eventIndex }));
+
+  return {
+    exits,
+    violations: [...monitor.violations, ...violations],
+    transitions: monitor.transitions + 1,
+  };
+};
+
+// The monitor as an updateReplay observer, checking the state after every event
+export const observeReplayStep = (monitor = createInvariantMonitor(), state, eventIndex) =>
+  observeTransition(monitor, state, eventIndex);
+
+// Monitor results after the first `cursor` events of a replay observed with observeReplayStep.
+// Each violation lists the indexes of the events that led to it: every action from the one that
+// reached its lookback era (or the start of the log) through the transition that broke it.
+export const getReplayMonitor = (replay, cursor) => {
+  const monitor = replay.steps[cursor].observed;
+  const eras = replay.steps.slice(0, cursor + 1).map(step => step.state.currentEra);
+
+  const violations = monitor.violations.map(violation => {
+    const end = violation.eventIndex === null ? -1 : violation.eventIndex;
+    // eras[i] is the era before event i, so the window opens at the first event applied in or after the lookback era
+    let start = 0;
+    while (start <= end && eras[start] < violation.lookbackEra) start++;
+    return { ...violation, eventIndexes: Array.from({ length: end - start + 1 }, (_, i) => start + i) };
+  });
+
+  return { violations, exits: monitor.exits, transitions: monitor.transitions };
+};
+
+// Replay an event log up to its cursor with the monitor attached
+export const monitorHistory = (history, cursor = history.cursor) =>
+  getReplayMonitor(updateReplay(null, { ...history, events: history.events.slice(0, cursor) }, observeReplayStep), cursor);
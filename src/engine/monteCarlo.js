@@ -0,0 +1,166 @@
+import {
+  DEFAULT_NETWORK_PARAMS,
+  DEFAULT_LOWEST_THIRD_STAKE,
+  createEngineState,
+  addStaker,
+  addUnbondingRequest,
+  rebondChunk,
+  advanceEras,
+  withdrawAllEligible,
+} from './eraEngine.js';
+import { createRandom, mean, percentile } from './stats.js';
+
+// Stochastic workload generator: runs independent trials of random unbonding
+// traffic through the era engine and reports the resulting wait distribution.
+
+export const DEFAULT_WORKLOAD_CONFIG = {
+  networkParams: DEFAULT_NETWORK_PARAMS,
+  lowestThirdStake: DEFAULT_LOWEST_THIRD_STAKE,
+  trials: 20,
+  eras: 120,
+  seed: 1,
+  arrival: {
+    process: 'poisson', // 'poisson' | 'bursty'
+    rate: 5, // mean requests per era
+    burstProbability: 0.1, // bursty: chance an era is a burst era
+    burstMultiplier: 8, // bursty: rate multiplier during a burst
+  },
+  amount: {
+    distribution: 'lognormal', // 'lognormal' | 'pareto'
+    median: 2_000_000, // lognormal median
+    sigma: 1.5, // lognormal shape
+    scale: 1_000_000, // pareto minimum amount
+    alpha: 1.2, // pareto tail index, lower is heavier
+    max: 50_000_000, // clamp so a single draw can't exceed a sane ledger size
+  },
+  rebondProbability: 0.05, // chance a request is rebonded before withdrawal
+};
+
+// Knuth's method, fine for the per-era rates used here
+const samplePoisson = (rate, random) => {
+  const limit = Math.exp(-rate);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+};
+
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+export const sampleArrivals = (arrival, random) => {
+  if (arrival.process === 'bursty' && random() < arrival.burstProbability) {
+    return samplePoisson(arrival.rate * arrival.burstMultiplier, random);
+  }
+  return samplePoisson(arrival.rate, random);
+};
+
+export const sampleAmount = (amount, random) => {
+  const value = amount.distribution === 'pareto'
+    ? amount.scale / Math.pow(1 - random(), 1 / amount.alpha)
+    : amount.median * Math.exp(amount.sigma * sampleNormal(random));
+  return Math.min(amount.max, Math.round(value));
+};
+
+// Run one trial of `eras` eras and return the observed waits of withdrawn requests
+export const runWorkloadTrial = (config, random) => {
+  const { networkParams, lowestThirdStake, eras, arrival, amount, rebondProbability } = config;
+  let state = createEngineState({ networkParams, lowestThirdStake, stakers: [] });
+  // Each staker makes at most one request per era, so this much bond never runs out
+  const bonded = amount.max * eras;
+  let scheduledRebonds = [];
+  let requests = 0;
+  let rebonded = 0;
+
+  for (let step = 0; step < eras; step++) {
+    // Rebonds scheduled for this era, skipping chunks already withdrawn
+    scheduledRebonds
+      .filter(r => r.era === state.currentEra)
+      .forEach(r => {
+        const chunk = state.unlockChunks.find(c => c.id === r.chunkId);
+        if (!chunk) return;
+        state = rebondChunk(state, chunk.id, chunk.unbonding_amount);
+        rebonded++;
+      });
+    scheduledRebonds = scheduledRebonds.filter(r => r.era > state.currentEra);
+
+    // Each arrival in an era uses its own staker so requests never merge
+    const arrivals = sampleArrivals(arrival, random);
+    for (let i = 0; i < arrivals; i++) {
+      while (state.stakers.length <= i) {
+        state = addStaker(state, `Workload ${state.nextStakerId}`, bonded);
+      }
+      const chunkId = state.nextChunkId;
+      state = addUnbondingRequest(state, sampleAmount(amount, random), state.stakers[i].id);
+      // Rejected requests (e.g. MaxUnlockingChunks reached) leave no chunk behind
+      if (state.nextChunkId === chunkId) continue;
+      requests++;
+
+      if (random() < rebondProbability) {
+        const delay = 1 + Math.floor(random() * Math.max(1, networkParams.BONDING_DURATION - 1));
+        scheduledRebonds.push({ chunkId, era: state.currentEra + delay });
+      }
+    }
+
+    state = advanceEras(state, 1, lowestThirdStake);
+    state = withdrawAllEligible(state);
+  }
+
+  return {
+    waits: state.withdrawnChunks.map(c => c.actual_wait),
+    requests,
+    rebonded,
+    unfinished: state.unlockChunks.length,
+  };
+};
+
+const summarizeWaits = (waits, bondingDuration) => {
+  const sorted = [...waits].sort((a, b) => a - b);
+  return {
+    mean: mean(sorted),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    cappedShare: sorted.length > 0 ? sorted.filter(w => w >= bondingDuration).length / sorted.length : null,
+  };
+};
+
+// Run `trials` independent trials (seeded seed, seed + 1, ...) and aggregate the waits
+export const runMonteCarlo = (overrides = {}) => {
+  const config = {
+    ...DEFAULT_WORKLOAD_CONFIG,
+    ...overrides,
+    arrival: { ...DEFAULT_WORKLOAD_CONFIG.arrival, ...overrides.arrival },
+    amount: { ...DEFAULT_WORKLOAD_CONFIG.amount, ...overrides.amount },
+  };
+  const bondingDuration = config.networkParams.BONDING_DURATION;
+
+  const trialResults = [];
+  for (let trial = 0; trial < config.trials; trial++) {
+    trialResults.push(runWorkloadTrial(config, createRandom(config.seed + trial)));
+  }
+
+  const allWaits = trialResults.flatMap(t => t.waits);
+  const histogram = [];
+  for (let wait = 0; wait <= bondingDuration; wait++) {
+    histogram.push({ wait, count: allWaits.filter(w => w === wait).length });
+  }
+
+  return {
+    config,
+    requests: trialResults.reduce((sum, t) => sum + t.requests, 0),
+    completed: allWaits.length,
+    rebonded: trialResults.reduce((sum, t) => sum + t.rebonded, 0),
+    unfinished: trialResults.reduce((sum, t) => sum + t.unfinished, 0),
+    waits: summarizeWaits(allWaits, bondingDuration),
+    histogram,
+    perTrial: trialResults.map((t, trial) => ({ trial, ...summarizeWaits(t.waits, bondingDuration) })),
+  };
+};
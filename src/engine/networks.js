@@ -0,0 +1,69 @@
+// Network presets. Each preset's `params` is a complete networkParams object;
+// `totalStaked` seeds the total-stake input used for the lowest-third ratio.
+
+export const NETWORK_PRESETS = {
+  polkadot: {
+    totalStaked: 800_000_000,
+    params: {
+      name: 'Polkadot',
+      BONDING_DURATION: 28, // eras
+      MIN_UNBONDING_ERAS: 2, // minimum eras before withdrawal
+      MIN_SLASHABLE_SHARE: 0.5,
+      ERAS_PER_DAY: 1, // 24h eras
+      SESSIONS_PER_ERA: 6, // 4h sessions
+      MAX_UNLOCKING_CHUNKS: 32, // MaxUnlockingChunks per staking ledger
+      SLASH_DEFER_DURATION: 27, // eras between an offence and its deferred slash being applied
+      TOKEN_SYMBOL: 'DOT',
+      TOKEN_DECIMALS: 10,
+    },
+  },
+  kusama: {
+    totalStaked: 8_000_000,
+    params: {
+      name: 'Kusama',
+      BONDING_DURATION: 28, // 7 days of 6h eras
+      MIN_UNBONDING_ERAS: 8, // ~2 days
+      MIN_SLASHABLE_SHARE: 0.5,
+      ERAS_PER_DAY: 4,
+      SESSIONS_PER_ERA: 6, // 1h sessions
+      MAX_UNLOCKING_CHUNKS: 32,
+      SLASH_DEFER_DURATION: 27,
+      TOKEN_SYMBOL: 'KSM',
+      TOKEN_DECIMALS: 12,
+    },
+  },
+  westend: {
+    totalStaked: 2_000_000,
+    params: {
+      name: 'Westend',
+      BONDING_DURATION: 2, // testnet: 12 hours of 6h eras
+      MIN_UNBONDING_ERAS: 1,
+      MIN_SLASHABLE_SHARE: 0.5,
+      ERAS_PER_DAY: 4,
+      SESSIONS_PER_ERA: 6, // 1h sessions
+      MAX_UNLOCKING_CHUNKS: 32,
+      SLASH_DEFER_DURATION: 1,
+      TOKEN_SYMBOL: 'WND',
+      TOKEN_DECIMALS: 12,
+    },
+  },
+  custom: {
+    totalStaked: 800_000_000,
+    params: {
+      name: 'Custom',
+      BONDING_DURATION: 28,
+      MIN_UNBONDING_ERAS: 2,
+      MIN_SLASHABLE_SHARE: 0.5,
+      ERAS_PER_DAY: 1,
+      SESSIONS_PER_ERA: 6,
+      MAX_UNLOCKING_CHUNKS: 32,
+      SLASH_DEFER_DURATION: 27,
+      TOKEN_SYMBOL: 'UNIT',
+      TOKEN_DECIMALS: 12,
+    },
+  },
+};
+
+// Preset key for a networkParams object, falling back to custom
+export const getPresetId = (networkParams) =>
+  Object.keys(NETWORK_PRESETS).find(id => NETWORK_PRESETS[id].params.name === networkParams.name) ?? 'custom';
@@ -0,0 +1,252 @@
+import {
+  getStaker,
+  getStakerChunks,
+  addStaker,
+  canUnbond,
+  canWithdraw,
+  estimateUnbondingTime,
+  unbondLedger,
+  withdrawAllEligible,
+} from './eraEngine.js';
+
+// Nomination pools: each pool bonds through one staking ledger in `state.stakers` (tagged with
+// its poolId), so every member's unbond feeds total_unbond_in_era through that single ledger
+// and merges into the pool's chunk for the era. Members hold points; unbonding points move into
+// a per-era sub-pool, and sub-pools older than BONDING_DURATION merge into one no-era pool.
+// A member can claim an era's sub-pool share once the pool has no pending chunk from that era.
+
+export const getPool = (state, poolId) => state.pools.find(p => p.id === poolId);
+
+export const getPoolMember = (pool, memberId) => pool?.members.find(m => m.id === memberId);
+
+// Bonded balance backing the pool's points
+export const getPoolBalance = (state, pool) => getStaker(state, pool.stakerId)?.active ?? 0;
+
+// Points-to-balance and balance-to-points at the pool's current rate; 1:1 for an empty pool
+export const pointsToBalance = (state, pool, points) => {
+  const balance = getPoolBalance(state, pool);
+  return pool.points === 0 || balance === 0 ? points : (points * balance) / pool.points;
+};
+
+export const balanceToPoints = (state, pool, amount) => {
+  const balance = getPoolBalance(state, pool);
+  return pool.points === 0 || balance === 0 ? amount : (amount * pool.points) / balance;
+};
+
+// Sub-pool points are issued against the sub-pool's own balance
+const subPoolPoints = (subPool, amount) =>
+  subPool.points === 0 || subPool.balance === 0 ? amount : (amount * subPool.points) / subPool.balance;
+
+const emptySubPool = () => ({ points: 0, balance: 0 });
+
+const updatePool = (state, poolId, update) => ({
+  ...state,
+  pools: state.pools.map(p => (p.id === poolId ? { ...p, ...update(p) } : p)),
+});
+
+const updateMember = (pool, memberId, update) =>
+  pool.members.map(m => (m.id === memberId ? { ...m, ...update(m) } : m));
+
+// Keep era sub-pool balances equal to the pool's pending chunk for that era (slashes reduce
+// chunks), then merge sub-pools that have left the BONDING_DURATION window into the no-era pool
+const refreshSubPools = (state, poolId) => updatePool(state, poolId, pool => {
+  const chunks = getStakerChunks(state, pool.stakerId);
+  const oldestKept = state.currentEra - state.networkParams.BONDING_DURATION;
+  const withEra = {};
+  const noEra = { ...pool.subPools.noEra };
+
+  Object.entries(pool.subPools.withEra).forEach(([era, subPool]) => {
+    const chunk = chunks.find(c => c.unbonding_start_era === Number(era));
+    const synced = chunk ? { ...subPool, balance: chunk.unbonding_amount } : subPool;
+    if (Number(era) < oldestKept) {
+      noEra.points += synced.points;
+      noEra.balance += synced.balance;
+    } else {
+      withEra[era] = synced;
+    }
+  });
+
+  return { subPools: { withEra, noEra } };
+});
+
+// Create a pool whose depositor bonds `deposit` as its first member
+export const createPool = (state, name, depositorName, deposit) => {
+  if (!name || !depositorName || !(deposit > 0)) return state;
+
+  const poolId = state.nextPoolId;
+  const stakerId = state.nextStakerId;
+  const withLedger = addStaker(state, `Pool: ${name}`, deposit);
+  const pool = {
+    id: poolId,
+    name,
+    stakerId,
+    points: deposit,
+    members: [{ id: 1, name: depositorName, points: deposit, unbonding: {}, withdrawn: 0 }],
+    nextMemberId: 2,
+    subPools: { withEra: {}, noEra: emptySubPool() },
+  };
+
+  return {
+    ...withLedger,
+    stakers: withLedger.stakers.map(s => (s.id === stakerId ? { ...s, poolId } : s)),
+    pools: [...state.pools, pool],
+    nextPoolId: poolId + 1,
+  };
+};
+
+// A new member bonds `amount`, receiving points at the current rate
+export const joinPool = (state, poolId, name, amount) => {
+  const pool = getPool(state, poolId);
+  if (!pool || !name || !(amount > 0)) return state;
+
+  const points = balanceToPoints(state, pool, amount);
+  const stakers = state.stakers.map(s =>
+    s.id === pool.stakerId ? { ...s, bonded: s.bonded + amount, active: s.active + amount } : s
+  );
+
+  return updatePool({ ...state, stakers }, poolId, p => ({
+    points: p.points + points,
+    members: [...p.members, { id: p.nextMemberId, name, points, unbonding: {}, withdrawn: 0 }],
+    nextMemberId: p.nextMemberId + 1,
+  }));
+};
+
+// Check whether a member may unbond `amount` of balance in the current era
+export const canUnbondFromPool = (state, poolId, memberId, amount) => {
+  const pool = getPool(state, poolId);
+  const member = getPoolMember(pool, memberId);
+  if (!member) return { canUnbond: false, reason: 'Unknown pool member' };
+  if (amount <= 0) return { canUnbond: false, reason: 'Amount must be positive' };
+  const available = pointsToBalance(state, pool, member.points);
+  if (amount > available * (1 + 1e-12)) {
+    return { canUnbond: false, reason: `Only ${available} bonded through the pool` };
+  }
+  return canUnbond(state, pool.stakerId, Math.min(amount, available));
+};
+
+// Unbond `amount` of a member's balance: the pool ledger unbonds it (merging into this era's
+// chunk) and the member's points move into the era's sub-pool. `directPrevious` keeps the era
+// total at this point, i.e. the queue position the member would have had unbonding directly.
+export const unbondFromPool = (state, poolId, memberId, amount) => {
+  if (!canUnbondFromPool(state, poolId, memberId, amount).canUnbond) return state;
+
+  const refreshed = refreshSubPools(state, poolId);
+  const pool = getPool(refreshed, poolId);
+  const member = getPoolMember(pool, memberId);
+  const points = Math.min(member.points, balanceToPoints(refreshed, pool, amount));
+  const balance = pointsToBalance(refreshed, pool, points);
+  const era = refreshed.currentEra;
+  const directPrevious = refreshed.eraData[era]?.total_unbond_in_era || 0;
+
+  const unbonded = unbondLedger(refreshed, balance, pool.stakerId);
+  const subPool = pool.subPools.withEra[era] ?? emptySubPool();
+  const issued = subPoolPoints(subPool, balance);
+
+  return updatePool(unbonded, poolId, p => ({
+    points: p.points - points,
+    members: updateMember(p, memberId, m => {
+      const previous = m.unbonding[era];
+      return {
+        points: m.points - points,
+        unbonding: {
+          ...m.unbonding,
+          [era]: {
+            points: (previous?.points ?? 0) + issued,
+            balance: (previous?.balance ?? 0) + balance,
+            directPrevious: previous?.directPrevious ?? directPrevious,
+          },
+        },
+      };
+    }),
+    subPools: {
+      ...p.subPools,
+      withEra: { ...p.subPools.withEra, [era]: { points: subPool.points + issued, balance: subPool.balance + balance } },
+    },
+  }));
+};
+
+// The member's unbonding eras whose pool chunk is no longer pending
+const claimableEras = (state, pool, member) => {
+  const pendingEras = new Set(getStakerChunks(state, pool.stakerId).map(c => c.unbonding_start_era));
+  return Object.keys(member.unbonding).map(Number).filter(era => !pendingEras.has(era));
+};
+
+// Withdraw the pool's eligible chunks, then pay the member its share of every sub-pool it can
+// claim. Payouts leave the pool ledger's free balance and are capped by it.
+export const withdrawFromPool = (state, poolId, memberId) => {
+  if (!getPoolMember(getPool(state, poolId), memberId)) return state;
+
+  const synced = refreshSubPools(state, poolId);
+  const withdrawn = refreshSubPools(withdrawAllEligible(synced, getPool(synced, poolId).stakerId), poolId);
+  const pool = getPool(withdrawn, poolId);
+  const member = getPoolMember(pool, memberId);
+  const eras = claimableEras(withdrawn, pool, member);
+  if (eras.length === 0) return withdrawn;
+
+  let free = getStaker(withdrawn, pool.stakerId).free;
+  let paid = 0;
+  const withEra = { ...pool.subPools.withEra };
+  let noEra = { ...pool.subPools.noEra };
+  const unbonding = { ...member.unbonding };
+
+  eras.forEach(era => {
+    const inEra = withEra[era] !== undefined;
+    const subPool = inEra ? withEra[era] : noEra;
+    const { points } = unbonding[era];
+    const share = subPool.points > 0 ? Math.min(subPool.balance, (points * subPool.balance) / subPool.points) : 0;
+    const payout = Math.min(free, share);
+    const next = { points: Math.max(0, subPool.points - points), balance: Math.max(0, subPool.balance - share) };
+    if (inEra && next.points === 0) {
+      delete withEra[era];
+    } else if (inEra) {
+      withEra[era] = next;
+    } else {
+      noEra = next;
+    }
+    delete unbonding[era];
+    free -= payout;
+    paid += payout;
+  });
+
+  const stakers = withdrawn.stakers.map(s => (s.id === pool.stakerId ? { ...s, free } : s));
+  return updatePool({ ...withdrawn, stakers }, poolId, p => ({
+    members: updateMember(p, memberId, m => ({ unbonding, withdrawn: m.withdrawn + paid })),
+    subPools: { withEra, noEra },
+  }));
+};
+
+// What a member sees for each era it unbonded in: its share, the wait the era rules give the
+// pool's chunk, and the wait a chunk of its own would get from its position in the era
+export const getPoolMemberUnbonding = (state, poolId, memberId) => {
+  const pool = getPool(state, poolId);
+  const member = getPoolMember(pool, memberId);
+  if (!member) return [];
+
+  const chunks = getStakerChunks(state, pool.stakerId);
+  return Object.entries(member.unbonding)
+    .map(([eraKey, entry]) => {
+      const era = Number(eraKey);
+      const chunk = chunks.find(c => c.unbonding_start_era === era) ?? null;
+      const ownChunk = {
+        id: null,
+        stakerId: pool.stakerId,
+        unbonding_amount: entry.balance,
+        unbonding_start_era: era,
+        previous_unbonded_stake_in_era: entry.directPrevious,
+        status: 'pending',
+      };
+      return {
+        era,
+        points: entry.points,
+        balance: entry.balance,
+        merged: pool.subPools.withEra[era] === undefined,
+        poolChunkId: chunk?.id ?? null,
+        poolPrevious: chunk?.previous_unbonded_stake_in_era ?? null,
+        directPrevious: entry.directPrevious,
+        canWithdraw: chunk ? canWithdraw(state, chunk).canWithdraw : true,
+        poolWait: chunk ? estimateUnbondingTime(state, chunk) : 0,
+        directWait: chunk ? estimateUnbondingTime(state, ownChunk) : 0,
+      };
+    })
+    .sort((a, b) => a.era - b.era);
+};
@@ -0,0 +1,81 @@
+import { advanceEras, canWithdraw, estimateUnbondingTime, getPendingSlashes } from './eraEngine.js';
+import { mean } from './stats.js';
+
+// Forward projection: step a copy of the engine era by era under an assumption about
+// future unbonding and record the first era in which each pending chunk passes canWithdraw.
+
+export const FUTURE_UNBONDING_MODES = ['none', 'average', 'custom'];
+
+// Mean total_unbond_in_era over the current era window
+export const averageEraUnbonding = (state) =>
+  mean(Object.values(state.eraData).map(d => d.total_unbond_in_era)) ?? 0;
+
+// Unbonding added to the era `step` eras from now. A custom series gives one amount per
+// future era starting with the next one; eras past its end get none.
+export const futureUnbonding = (state, mode = 'none', series = []) => {
+  if (!FUTURE_UNBONDING_MODES.includes(mode)) {
+    throw new Error(`Unknown future unbonding mode "${mode}"`);
+  }
+  if (mode === 'average') {
+    const average = averageEraUnbonding(state);
+    return () => average;
+  }
+  if (mode === 'custom') return (step) => series[step - 1] ?? 0;
+  return () => 0;
+};
+
+// Advance one era and book `amount` of assumed unbonding from other stakers in it
+export const advanceWithUnbonding = (state, lowestThirdStake, amount) => {
+  const advanced = advanceEras(state, 1, lowestThirdStake);
+  const era = advanced.currentEra;
+  return {
+    ...advanced,
+    eraData: {
+      ...advanced.eraData,
+      [era]: { ...advanced.eraData[era], total_unbond_in_era: advanced.eraData[era].total_unbond_in_era + amount },
+    },
+  };
+};
+
+// `lowestThirdStake` seeds new eras as in advanceEras; it defaults to the current era's value.
+// The horizon covers every chunk leaving the window plus any pending slash delaying it.
+// `staticEra` is the current era plus estimateUnbondingTime, which counts from the current era.
+export const projectWithdrawals = (state, {
+  mode = 'none',
+  series = [],
+  lowestThirdStake = state.eraData[state.currentEra]?.lowest_third_stake ?? 0,
+} = {}) => {
+  const amountFor = futureUnbonding(state, mode, series);
+  const pending = state.unlockChunks.filter(c => c.status === 'pending');
+  const lastSlashEra = Math.max(state.currentEra, ...getPendingSlashes(state).map(s => s.applyEra));
+  const horizon = Math.max(state.networkParams.BONDING_DURATION, lastSlashEra - state.currentEra) + 1;
+
+  const withdrawableEra = {};
+  let projected = state;
+  for (let step = 0; step <= horizon; step++) {
+    if (step > 0) {
+      projected = advanceWithUnbonding(projected, lowestThirdStake, amountFor(step));
+    }
+
+    projected.unlockChunks.forEach(chunk => {
+      if (withdrawableEra[chunk.id] === undefined && chunk.status === 'pending' && canWithdraw(projected, chunk).canWithdraw) {
+        withdrawableEra[chunk.id] = projected.currentEra;
+      }
+    });
+    if (pending.every(c => withdrawableEra[c.id] !== undefined)) break;
+  }
+
+  return pending.map(chunk => {
+    const staticEra = state.currentEra + estimateUnbondingTime(state, chunk);
+    const projectedEra = withdrawableEra[chunk.id] ?? null;
+    return {
+      chunkId: chunk.id,
+      stakerId: chunk.stakerId,
+      amount: chunk.unbonding_amount,
+      startEra: chunk.unbonding_start_era,
+      withdrawableEra: projectedEra,
+      staticEra,
+      differs: projectedEra !== staticEra,
+    };
+  });
+};
@@ -0,0 +1,340 @@
+import { createEngineState, DEFAULT_NETWORK_PARAMS } from './eraEngine.js';
+import { createHistory, replayHistory } from './eventLog.js';
+
+// Versioned scenario documents: the full engine state plus the UI config inputs, as JSON
+// files. Share links instead carry how the session started plus its event log as a base64url
+// string, and the state is rebuilt by replaying the log.
+
+export const SCENARIO_VERSION = 1;
+export const SHARE_VERSION = 1;
+
+const REQUIRED_PARAMS = ['BONDING_DURATION', 'MIN_UNBONDING_ERAS', 'MIN_SLASHABLE_SHARE', 'ERAS_PER_DAY'];
+
+const ENGINE_FIELDS = [
+  'networkParams',
+  'eraData',
+  'currentEra',
+  'timeAdvanced',
+  'lowestThirdSnapshots',
+  'stakers',
+  'nextStakerId',
+  'unlockChunks',
+  'nextChunkId',
+  'withdrawnChunks',
+  'slashes',
+  'nextSlashId',
+  'pools',
+  'nextPoolId',
+  'fastUnstakes',
+  'eraClock',
+];
+
+export const exportScenario = (state, config = {}) => {
+  const engine = {};
+  ENGINE_FIELDS.forEach(field => {
+    engine[field] = state[field];
+  });
+  return { version: SCENARIO_VERSION, config, engine };
+};
+
+// Check a parsed scenario document; throws an Error describing the first problem found
+export const validateScenario = (scenario) => {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error('Scenario must be a JSON object');
+  }
+  if (scenario.version !== SCENARIO_VERSION) {
+    throw new Error(`Unsupported scenario version ${scenario.version} (expected ${SCENARIO_VERSION})`);
+  }
+
+  const { engine } = scenario;
+  if (!engine || typeof engine !== 'object') {
+    throw new Error('Scenario is missing its "engine" section');
+  }
+
+  const params = engine.networkParams;
+  if (!params || typeof params !== 'object') {
+    throw new Error('Scenario is missing networkParams');
+  }
+  REQUIRED_PARAMS.forEach(name => {
+    if (typeof params[name] !== 'number' || !Number.isFinite(params[name])) {
+      throw new Error(`networkParams.${name} must be a number`);
+    }
+  });
+  if (!Number.isInteger(params.BONDING_DURATION) || params.BONDING_DURATION < 1) {
+    throw new Error(`networkParams.BONDING_DURATION must be a positive integer, got ${params.BONDING_DURATION}`);
+  }
+  if (!Number.isInteger(engine.currentEra)) {
+    throw new Error('currentEra must be an integer');
+  }
+
+  // The era window must be exactly the BONDING_DURATION eras ending at currentEra
+  if (!engine.eraData || typeof engine.eraData !== 'object') {
+    throw new Error('Scenario is missing eraData');
+  }
+  const eras = Object.keys(engine.eraData).map(Number).sort((a, b) => a - b);
+  const expectedOldest = engine.currentEra - (params.BONDING_DURATION - 1);
+  if (eras.length !== params.BONDING_DURATION) {
+    throw new Error(
+      `eraData holds ${eras.length} eras but BONDING_DURATION is ${params.BONDING_DURATION}; ` +
+      `expected eras ${expectedOldest}..${engine.currentEra}`
+    );
+  }
+  if (eras[0] !== expectedOldest || eras[eras.length - 1] !== engine.currentEra) {
+    throw new Error(
+      `eraData covers eras ${eras[0]}..${eras[eras.length - 1]} but a BONDING_DURATION of ` +
+      `${params.BONDING_DURATION} ending at era ${engine.currentEra} needs ${expectedOldest}..${engine.currentEra}`
+    );
+  }
+  eras.forEach(era => {
+    const data = engine.eraData[era];
+    if (typeof data?.lowest_third_stake !== 'number' || typeof data?.total_unbond_in_era !== 'number') {
+      throw new Error(`eraData[${era}] needs numeric lowest_third_stake and total_unbond_in_era`);
+    }
+  });
+
+  if (!Array.isArray(engine.unlockChunks)) {
+    throw new Error('unlockChunks must be a list');
+  }
+  if (engine.pools !== undefined && !Array.isArray(engine.pools)) {
+    throw new Error('pools must be a list');
+  }
+  if (engine.fastUnstakes !== undefined && !Array.isArray(engine.fastUnstakes)) {
+    throw new Error('fastUnstakes must be a list');
+  }
+  if (engine.eraClock !== undefined &&
+    (!Number.isInteger(engine.eraClock?.anchorEra) || typeof engine.eraClock?.anchorTime !== 'number')) {
+    throw new Error('eraClock needs an integer anchorEra and a numeric anchorTime');
+  }
+  engine.unlockChunks.forEach(chunk => {
+    ['id', 'unbonding_amount', 'unbonding_start_era', 'previous_unbonded_stake_in_era'].forEach(field => {
+      if (typeof chunk?.[field] !== 'number') {
+        throw new Error(`UnlockChunk ${chunk?.id ?? '?'} is missing numeric ${field}`);
+      }
+    });
+    if (chunk.unbonding_start_era > engine.currentEra) {
+      throw new Error(`UnlockChunk ${chunk.id} starts in era ${chunk.unbonding_start_era}, after currentEra`);
+    }
+  });
+
+  return scenario;
+};
+
+// Rebuild an engine state from a validated scenario, filling fields added since it was saved
+export const importScenario = (scenario) => {
+  validateScenario(scenario);
+  const defaults = createEngineState({ networkParams: scenario.engine.networkParams, currentEra: scenario.engine.currentEra });
+  const state = { ...defaults };
+  ENGINE_FIELDS.forEach(field => {
+    if (scenario.engine[field] !== undefined) state[field] = scenario.engine[field];
+  });
+  state.networkParams = { ...DEFAULT_NETWORK_PARAMS, ...scenario.engine.networkParams };
+  return { state, config: scenario.config ?? {} };
+};
+
+export const parseScenarioJson = (text) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Scenario is not valid JSON: ${error.message}`);
+  }
+  return importScenario(scenario);
+};
+
+// Compact form for URLs: era data as [lowest_third_stake, total_unbond_in_era] pairs from the oldest
+// era, with fast_unstake_in_era as a third entry for eras that have it
+const compactScenario = ({ engine, ...rest }) => {
+  const { eraData, ...engineRest } = engine;
+  const eras = Object.keys(eraData).map(Number).sort((a, b) => a - b);
+  return {
+    ...rest,
+    engine: {
+      ...engineRest,
+      eraData: eras.map(era => {
+        const { lowest_third_stake, total_unbond_in_era, fast_unstake_in_era } = eraData[era];
+        return fast_unstake_in_era === undefined
+          ? [lowest_third_stake, total_unbond_in_era]
+          : [lowest_third_stake, total_unbond_in_era, fast_unstake_in_era];
+      }),
+    },
+  };
+};
+
+const expandScenario = ({ engine, ...rest }) => {
+  if (!engine || !Array.isArray(engine.eraData)) return { engine, ...rest };
+  const oldestEra = engine.currentEra - (engine.eraData.length - 1);
+  const eraData = {};
+  engine.eraData.forEach(([lowest_third_stake, total_unbond_in_era, fast_unstake_in_era], index) => {
+    eraData[oldestEra + index] = fast_unstake_in_era === undefined
+      ? { lowest_third_stake, total_unbond_in_era }
+      : { lowest_third_stake, total_unbond_in_era, fast_unstake_in_era };
+  });
+  return { ...rest, engine: { ...engine, eraData } };
+};
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// Share links come from untrusted URLs, so every event is checked before it is replayed: known
+// type, well-formed fields and bounded sizes, so a link can't stall the page with e.g. an
+// advance by millions of eras.
+const MAX_SHARED_EVENTS = 10_000;
+const MAX_SHARED_ERA = 1_000_000; // era numbers and era-clock spans
+const MAX_SHARED_ADVANCE = 10_000; // eras advanced over the whole log
+const MAX_SHARED_SESSIONS = 100_000; // sessions advanced over the whole log
+const MAX_SHARED_BONDING_DURATION = 1_000;
+const MAX_NAME_LENGTH = 100;
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isFraction = (value) => isAmount(value) && value <= 1;
+const isId = (value) => Number.isInteger(value) && value >= 0;
+const isEra = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SHARED_ERA;
+const isCount = (max) => (value) => Number.isInteger(value) && value >= 1 && value <= max;
+const isName = (value) => typeof value === 'string' && value.length <= MAX_NAME_LENGTH;
+const isEraMap = (isValue) => (value) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(value).every(([era, entry]) => isEra(Number(era)) && isValue(entry));
+
+const isNetworkParams = (params) => {
+  if (!params || typeof params !== 'object') return false;
+  const { BONDING_DURATION, MIN_UNBONDING_ERAS, MIN_SLASHABLE_SHARE, ERAS_PER_DAY, SESSIONS_PER_ERA } = params;
+  return isCount(MAX_SHARED_BONDING_DURATION)(BONDING_DURATION) &&
+    isCount(BONDING_DURATION)(MIN_UNBONDING_ERAS) &&
+    isFraction(MIN_SLASHABLE_SHARE) &&
+    isCount(1_440)(ERAS_PER_DAY) &&
+    (SESSIONS_PER_ERA === undefined || isCount(1_000)(SESSIONS_PER_ERA));
+};
+
+const isSlash = (slash) => !!slash && typeof slash === 'object' &&
+  isFraction(slash.fraction) &&
+  (slash.offenceEra === undefined || isEra(slash.offenceEra)) &&
+  (slash.deferDuration === undefined || (Number.isInteger(slash.deferDuration) && slash.deferDuration >= 0 &&
+    slash.deferDuration <= MAX_SHARED_BONDING_DURATION)) &&
+  (slash.stakerIds === undefined || (Array.isArray(slash.stakerIds) && slash.stakerIds.every(isId))) &&
+  (slash.affectsLowestThird === undefined || typeof slash.affectsLowestThird === 'boolean');
+
+const optional = (check) => (value) => value === undefined || check(value);
+
+// Field checks per event type, matching what applyEvent reads
+const SHARED_EVENT_FIELDS = {
+  unbond: { amount: isAmount, stakerId: isId },
+  rebond: { chunkId: isId, amount: isAmount },
+  rebondLedger: { amount: isAmount, stakerId: isId },
+  withdraw: { chunkId: isId },
+  withdrawAll: { stakerId: optional(isId) },
+  advance: { eras: isCount(MAX_SHARED_ADVANCE), lowestThirdStake: isAmount },
+  addStaker: { name: isName, bonded: isAmount },
+  setStakeConfig: { totalStakedDOT: isAmount, lowestThirdRatio: isFraction },
+  setNetwork: { networkParams: isNetworkParams, totalStakedDOT: isAmount, lowestThirdRatio: isFraction },
+  loadSnapshots: { snapshots: isEraMap(stakes => Array.isArray(stakes) && stakes.every(isAmount)) },
+  clearSnapshots: {},
+  reportSlash: { slash: isSlash },
+  cancelSlash: { slashId: isId },
+  createPool: { name: isName, depositor: isName, deposit: isAmount },
+  joinPool: { poolId: isId, name: isName, amount: isAmount },
+  poolUnbond: { poolId: isId, memberId: isId, amount: isAmount },
+  poolWithdraw: { poolId: isId, memberId: isId },
+  setExposure: { stakerId: isId, exposed: (value) => typeof value === 'boolean' },
+  fastUnstake: { stakerId: isId },
+  advanceSessions: { sessions: isCount(MAX_SHARED_SESSIONS), lowestThirdStake: isAmount },
+  setEraLength: { era: isEra, sessions: isCount(1_000) },
+  loadEraTimes: { starts: isEraMap(isAmount) },
+};
+
+// Throws an Error naming the first event that fails its checks
+const validateSharedEvents = (events) => {
+  if (!Array.isArray(events)) {
+    throw new Error('Share link events must be a list');
+  }
+  if (events.length > MAX_SHARED_EVENTS) {
+    throw new Error(`Share link has ${events.length} events (at most ${MAX_SHARED_EVENTS})`);
+  }
+  let eras = 0;
+  let sessions = 0;
+  events.forEach((event, index) => {
+    const fields = SHARED_EVENT_FIELDS[event?.type];
+    if (!fields) {
+      throw new Error(`Share link event ${index + 1} has unknown type "${event?.type}"`);
+    }
+    Object.entries(fields).forEach(([field, check]) => {
+      if (!check(event[field])) {
+        throw new Error(`Share link event ${index + 1} (${event.type}) has an invalid ${field}`);
+      }
+    });
+    if (event.type === 'advance') eras += event.eras;
+    if (event.type === 'advanceSessions') sessions += event.sessions;
+  });
+  if (eras > MAX_SHARED_ADVANCE || sessions > MAX_SHARED_SESSIONS) {
+    throw new Error(
+      `Share link advances ${eras} eras and ${sessions} sessions ` +
+      `(at most ${MAX_SHARED_ADVANCE} and ${MAX_SHARED_SESSIONS})`
+    );
+  }
+};
+
+// A session started from createEngineState records its clock anchor as `currentEraStart` in the
+// initial config, and the link only needs that config. A session started from an imported
+// scenario can't be rebuilt from config, so its link also carries that initial scenario.
+export const encodeShareLink = (history) => {
+  const share = {
+    version: SHARE_VERSION,
+    config: history.initialConfig,
+    events: history.events.slice(0, history.cursor),
+  };
+  if (history.initialConfig.currentEraStart === undefined) {
+    share.scenario = compactScenario(exportScenario(history.initialState));
+  }
+  return toBase64Url(JSON.stringify(share));
+};
+
+// Rebuild the shared session as an event log; throws an Error if the link can't be replayed
+export const decodeShareLink = (encoded) => {
+  let share;
+  try {
+    share = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    throw new Error('Share link does not contain a readable scenario');
+  }
+  if (share?.version !== SHARE_VERSION) {
+    throw new Error(`Unsupported share link version ${share?.version} (expected ${SHARE_VERSION})`);
+  }
+  const { config } = share;
+  if (!config || typeof config !== 'object' || !isAmount(config.totalStakedDOT) || !isFraction(config.lowestThirdRatio)) {
+    throw new Error('Share link config needs a totalStakedDOT and a lowestThirdRatio between 0 and 1');
+  }
+  if (!share.scenario && !Number.isFinite(config.currentEraStart)) {
+    throw new Error('Share link needs a currentEraStart or an initial scenario');
+  }
+  validateSharedEvents(share.events);
+
+  const initialState = share.scenario
+    ? importScenario(expandScenario(share.scenario)).state
+    : createEngineState({ currentEraStart: config.currentEraStart });
+  const { currentEra, networkParams, eraClock } = initialState;
+  if (
+    !isEra(currentEra) ||
+    !isNetworkParams(networkParams) ||
+    Math.abs(eraClock.anchorEra - currentEra) > MAX_SHARED_ERA ||
+    !Number.isFinite(eraClock.anchorTime)
+  ) {
+    throw new Error('Share link scenario is outside the supported era range or network parameters');
+  }
+  const history = { ...createHistory(initialState, config), events: share.events, cursor: share.events.length };
+  try {
+    replayHistory(history);
+  } catch (error) {
+    throw new Error(`Share link events don't replay: ${error.message}`);
+  }
+  return history;
+};
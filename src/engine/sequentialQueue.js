@@ -0,0 +1,136 @@
+// Sequential queue model from the original RFC-0097 draft, at block level. Each request
+// pushes the back of the queue out by (amount / max_unstake) × UPPER_BOUND and unlocks at
+//   request_block + min(UPPER_BOUND, max(LOWER_BOUND, back_of_queue - request_block))
+// with both bounds in whole blocks. The queue is derived by replaying every request in the
+// order it was made, so rebonding recomputes the requests behind it exactly instead of
+// subtracting one delta from the back of the queue.
+
+export const SEQUENTIAL_DEFAULT_PARAMS = {
+  LOWER_BOUND_DAYS: 2,
+  UPPER_BOUND_DAYS: 28,
+  MIN_SLASHABLE_SHARE: 0.5,
+  TOTAL_STAKE_ESTIMATE: 800_000_000,
+  LOWEST_THIRD_RATIO: 0.287,
+  BLOCKS_PER_DAY: 14400, // ~6 second blocks
+};
+
+export const getSequentialMaxUnstake = (params) =>
+  params.MIN_SLASHABLE_SHARE * params.LOWEST_THIRD_RATIO * params.TOTAL_STAKE_ESTIMATE;
+
+// Lower and upper bound on a request's unbonding duration, in blocks
+export const getSequentialBounds = (params) => ({
+  lowerBlocks: Math.round(params.LOWER_BOUND_DAYS * params.BLOCKS_PER_DAY),
+  upperBlocks: Math.round(params.UPPER_BOUND_DAYS * params.BLOCKS_PER_DAY),
+});
+
+export const createSequentialQueue = (params = SEQUENTIAL_DEFAULT_PARAMS) => ({
+  params: { ...params },
+  currentBlock: 0,
+  // Block at which everything queued so far has been released
+  backOfQueueBlock: 0,
+  // Requests in the order they were made; unbonding blocks are recomputed on every replay
+  requests: [],
+  nextRequestId: 1,
+  // Pending slashes freeze the queue: no new requests and no withdrawals
+  pendingSlashes: false,
+});
+
+// Queue one request at `requestBlock` behind `backOfQueueBlock`
+export const queueSequentialRequest = (params, backOfQueueBlock, requestBlock, amount) => {
+  const { lowerBlocks, upperBlocks } = getSequentialBounds(params);
+  const deltaBlocks = (amount / getSequentialMaxUnstake(params)) * upperBlocks;
+  const newBackOfQueue = Math.max(requestBlock, backOfQueueBlock) + deltaBlocks;
+  const durationBlocks = Math.min(upperBlocks, Math.max(lowerBlocks, Math.ceil(newBackOfQueue - requestBlock)));
+  return {
+    deltaBlocks,
+    backOfQueueBlock: newBackOfQueue,
+    unbondingBlock: requestBlock + durationBlocks,
+    durationBlocks,
+  };
+};
+
+// Recompute the back of the queue and every request's unbonding block from the request history
+export const replaySequentialQueue = (state) => {
+  let backOfQueueBlock = 0;
+  const requests = state.requests.map(request => {
+    const queued = queueSequentialRequest(state.params, backOfQueueBlock, request.requestBlock, request.amount);
+    backOfQueueBlock = queued.backOfQueueBlock;
+    return {
+      ...request,
+      deltaBlocks: queued.deltaBlocks,
+      unbondingBlock: queued.unbondingBlock,
+      durationBlocks: queued.durationBlocks,
+    };
+  });
+  return { ...state, requests, backOfQueueBlock };
+};
+
+export const getSequentialRequestStatus = (state, request) => {
+  if (request.withdrawnBlock !== null) return 'withdrawn';
+  return state.currentBlock >= request.unbondingBlock ? 'unlocked' : 'pending';
+};
+
+export const getSequentialRequest = (state, requestId) => state.requests.find(r => r.id === requestId);
+
+// Request `amount` to unbond at the current block
+export const addSequentialRequest = (state, amount) => {
+  if (!(amount > 0) || state.pendingSlashes) return state;
+
+  const request = {
+    id: state.nextRequestId,
+    amount,
+    requestBlock: state.currentBlock,
+    withdrawnBlock: null,
+  };
+  return replaySequentialQueue({
+    ...state,
+    requests: [...state.requests, request],
+    nextRequestId: state.nextRequestId + 1,
+  });
+};
+
+// Rebond `amount` of a pending request (all of it by default) and replay the queue without it
+export const rebondSequentialRequest = (state, requestId, amount) => {
+  const request = getSequentialRequest(state, requestId);
+  if (!request || getSequentialRequestStatus(state, request) !== 'pending') return state;
+
+  const rebonded = Math.min(request.amount, amount ?? request.amount);
+  if (!(rebonded > 0)) return state;
+  const requests = rebonded === request.amount
+    ? state.requests.filter(r => r.id !== requestId)
+    : state.requests.map(r => (r.id === requestId ? { ...r, amount: r.amount - rebonded } : r));
+  return replaySequentialQueue({ ...state, requests });
+};
+
+export const advanceSequentialBlocks = (state, blocks) =>
+  (blocks > 0 ? { ...state, currentBlock: state.currentBlock + Math.round(blocks) } : state);
+
+// Withdraw an unlocked request; it stays in the history so later replays keep its place
+export const withdrawSequentialRequest = (state, requestId) => {
+  const request = getSequentialRequest(state, requestId);
+  if (!request || state.pendingSlashes || getSequentialRequestStatus(state, request) !== 'unlocked') return state;
+
+  return {
+    ...state,
+    requests: state.requests.map(r => (r.id === requestId ? { ...r, withdrawnBlock: state.currentBlock } : r)),
+  };
+};
+
+export const setSequentialPendingSlashes = (state, pendingSlashes) => ({ ...state, pendingSlashes });
+
+// Stake in requests that have not been withdrawn yet
+export const getSequentialQueuedStake = (state) =>
+  state.requests
+    .filter(r => getSequentialRequestStatus(state, r) !== 'withdrawn')
+    .reduce((sum, r) => sum + r.amount, 0);
+
+// Unbonding blocks for `amounts` requested one after another at the current block,
+// without changing the queue
+export const previewSequentialRequests = (state, amounts) => {
+  let backOfQueueBlock = state.backOfQueueBlock;
+  return amounts.map(amount => {
+    const queued = queueSequentialRequest(state.params, backOfQueueBlock, state.currentBlock, amount);
+    backOfQueueBlock = queued.backOfQueueBlock;
+    return { amount, ...queued };
+  });
+};
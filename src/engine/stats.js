@@ -0,0 +1,32 @@
+// Small numeric helpers shared by the analysis modules
+
+export const mean = (values) =>
+  values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Nearest-rank percentile (p in [0, 100]) of an ascending-sorted array
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+// Deterministic PRNG (mulberry32) so stochastic runs can be reproduced from a seed
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Evenly spaced subset of at most maxPoints items, always keeping the last one
+export const downsample = (items, maxPoints) => {
+  if (items.length <= maxPoints) return items;
+  const step = items.length / maxPoints;
+  return Array.from({ length: maxPoints }, (_, i) =>
+    items[i === maxPoints - 1 ? items.length - 1 : Math.floor(i * step)]
+  );
+};
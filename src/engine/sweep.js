@@ -0,0 +1,74 @@
+import { analyzeUnbondingHistory } from './empirical.js';
+import { mean, percentile } from './stats.js';
+
+// Parameter sweep over historical data: the empirical analysis is replayed for every
+// combination of a parameter grid, so the security/UX tradeoff of candidate constants
+// can be compared side by side.
+
+export const DEFAULT_SWEEP_GRID = {
+  MIN_SLASHABLE_SHARE: [0.3, 0.4, 0.5, 0.6, 0.7],
+  lowestThirdRatio: [0.2, 0.25, 0.287, 0.33],
+  BONDING_DURATION: [7, 14, 28],
+  MIN_UNBONDING_ERAS: [1, 2, 4],
+};
+
+export const SWEEP_PARAMS = Object.keys(DEFAULT_SWEEP_GRID);
+export const INTEGER_SWEEP_PARAMS = ['BONDING_DURATION', 'MIN_UNBONDING_ERAS'];
+// Shares of stake, only meaningful within [0, 1]
+export const FRACTION_SWEEP_PARAMS = ['MIN_SLASHABLE_SHARE', 'lowestThirdRatio'];
+
+// Throws on a grid value the analysis can't use, naming the parameter
+export const validateSweepGrid = (grid) => {
+  SWEEP_PARAMS.forEach(name => {
+    const values = grid[name];
+    if (!Array.isArray(values) || values.length === 0 || values.some(v => !Number.isFinite(v) || v < 0)) {
+      throw new Error(`${name} needs a list of non-negative numbers`);
+    }
+    if (INTEGER_SWEEP_PARAMS.includes(name) && values.some(v => !Number.isInteger(v) || v < 1)) {
+      throw new Error(`${name} values must be positive integers`);
+    }
+    if (FRACTION_SWEEP_PARAMS.includes(name) && values.some(v => v > 1)) {
+      throw new Error(`${name} values must be between 0 and 1`);
+    }
+  });
+};
+
+// Every combination of the grid values, as params objects
+export const gridCombinations = (grid) =>
+  SWEEP_PARAMS.reduce(
+    (combinations, name) => combinations.flatMap(params => grid[name].map(value => ({ ...params, [name]: value }))),
+    [{}]
+  );
+
+// Mean and p95 duration, and the share of eras that only wait MIN_UNBONDING_ERAS
+export const summarizeSweepCell = (processedData, minUnbondingEras) => {
+  const durations = processedData
+    .filter(d => d.hasFullHistory)
+    .map(d => d.estimatedDuration)
+    .sort((a, b) => a - b);
+  return {
+    validEvents: durations.length,
+    meanDuration: mean(durations),
+    p95Duration: percentile(durations, 95),
+    minWaitShare: durations.length === 0
+      ? null
+      : durations.filter(d => d <= minUnbondingEras).length / durations.length,
+  };
+};
+
+// One cell per grid combination; `onProgress(done, total)` is called after each
+export const runParameterSweep = (rows, grid = DEFAULT_SWEEP_GRID, onProgress) => {
+  validateSweepGrid(grid);
+  const combinations = gridCombinations(grid);
+  return combinations.map((params, index) => {
+    const cell = { params, ...summarizeSweepCell(analyzeUnbondingHistory(rows, params), params.MIN_UNBONDING_ERAS) };
+    onProgress?.(index + 1, combinations.length);
+    return cell;
+  });
+};
+
+// Cells of a 2D slice: xParam and yParam vary, every other parameter is held at `fixed`
+export const sliceSweep = (cells, xParam, yParam, fixed) =>
+  cells.filter(cell =>
+    SWEEP_PARAMS.every(name => name === xParam || name === yParam || cell.params[name] === fixed[name])
+  );
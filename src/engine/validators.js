@@ -0,0 +1,46 @@
+import Papa from 'papaparse';
+
+// Validator backing snapshots: per-era lists of validator stakes used to derive
+// the real lowest-third stake instead of a fixed ratio of total stake.
+
+// Total stake backing the lowest third of validators (at least one validator)
+export const computeLowestThirdStake = (validatorStakes) => {
+  const sorted = validatorStakes.filter(s => Number.isFinite(s) && s >= 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const count = Math.max(1, Math.floor(sorted.length / 3));
+  return sorted.slice(0, count).reduce((sum, s) => sum + s, 0);
+};
+
+// Parse snapshot files into `{ [era]: number[] }`. Accepted formats:
+//   JSON object  { "27": [stake, ...], ... }
+//   JSON array   [{ "era": 27, "stakes": [stake, ...] }, ...]
+//   CSV          era,stake (one row per validator)
+export const parseValidatorSnapshots = (text) => {
+  const trimmed = text.trim();
+  const snapshots = {};
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    const entries = Array.isArray(parsed)
+      ? parsed.map(entry => [entry.era, entry.stakes ?? entry.validators])
+      : Object.entries(parsed);
+
+    entries.forEach(([era, stakes]) => {
+      if (!Array.isArray(stakes) || !Number.isInteger(Number(era))) {
+        throw new Error(`Invalid snapshot for era ${era}: expected a list of validator stakes`);
+      }
+      snapshots[Number(era)] = stakes.map(Number);
+    });
+    return snapshots;
+  }
+
+  const parsed = Papa.parse(trimmed, { header: true, dynamicTyping: true, skipEmptyLines: true });
+  if (!parsed.meta.fields?.includes('era') || !parsed.meta.fields?.includes('stake')) {
+    throw new Error('CSV snapshots need "era" and "stake" columns');
+  }
+  parsed.data.forEach(row => {
+    if (!Number.isInteger(row.era) || typeof row.stake !== 'number') return;
+    (snapshots[row.era] ??= []).push(row.stake);
+  });
+  return snapshots;
+};
@@ -0,0 +1,24 @@
+// Display helpers shared by the simulator panels
+
+export const formatAmount = (amount) => {
+  if (amount >= 1_000_000) return `${(amount / 1_000_000).toFixed(1)}M`;
+  if (amount >= 1_000) return `${(amount / 1_000).toFixed(1)}K`;
+  return amount.toString();
+};
+
+// Amount with the network's token symbol, e.g. "1.5M KSM"
+export const formatToken = (amount, networkParams) => `${formatAmount(amount)} ${networkParams.TOKEN_SYMBOL}`;
+
+export const formatEras = (eras, networkParams) => {
+  const days = eras / networkParams.ERAS_PER_DAY;
+  return `${eras} eras (~${Number.isInteger(days) ? days : days.toFixed(1)} days)`;
+};
+
+// Calendar date and time, e.g. "Tue, Oct 21, 14:00"
+export const formatDateTime = (time) => new Date(time).toLocaleString(undefined, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
@@ -0,0 +1,15 @@
+import { analyzeUnbondingHistory } from '../engine/empirical.js';
+import { runParameterSweep } from '../engine/sweep.js';
+
+// Runs empirical analyses (a single replay or a parameter sweep) off the main thread,
+// posting progress as it goes. Assigned rather than added as a listener: papaparse
+// installs its own worker onmessage handler when loaded inside a worker, and this replaces it.
+self.onmessage = ({ data }) => {
+  const onProgress = (done, total) => {
+    self.postMessage({ type: 'progress', done, total });
+  };
+  const result = data.task === 'sweep'
+    ? runParameterSweep(data.rows, data.grid, onProgress)
+    : analyzeUnbondingHistory(data.rows, data.params, onProgress);
+  self.postMessage({ type: 'result', result });
+};